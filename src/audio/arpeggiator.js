@@ -0,0 +1,153 @@
+/**
+ * Arpeggiator for the chord hand
+ * Steps through the current chord on the shared transport instead of sustaining it.
+ * Changing the chord swaps the notes but keeps the step position, so the rhythm carries on.
+ */
+
+import { state } from '../config.js';
+import { acquireTransport, releaseTransport } from './transport.js';
+
+// Patterns and their labels
+export const arpPatterns = {
+  up: 'Up',
+  down: 'Down',
+  upDown: 'Up-down',
+  random: 'Random',
+  asPlayed: 'As played'
+};
+
+// Step rates (Tone.js notation) and their labels
+export const arpRates = {
+  '8n': '1/8',
+  '8t': '1/8 triplet',
+  '16n': '1/16',
+  '16t': '1/16 triplet'
+};
+
+// Default velocity of arpeggiated notes
+const ARP_VELOCITY = 0.6;
+
+// Running pattern
+let loop = null;
+let chordNotes = [];
+let step = 0;
+let playStep = null;
+let stepVelocity = ARP_VELOCITY;
+
+/**
+ * Build the note sequence one pattern cycle plays
+ * @param {Array<string>} notes - Chord notes in the order they were played
+ * @param {string} pattern - Key of arpPatterns
+ * @param {number} octaves - Number of octaves to span (1-4)
+ * @returns {Array<string>} Note names
+ */
+export function buildArpSequence(notes, pattern, octaves) {
+  const spread = [];
+  for (let octave = 0; octave < octaves; octave++) {
+    notes.forEach(note => spread.push(Tone.Frequency(note).toMidi() + octave * 12));
+  }
+
+  const ascending = [...new Set(spread)].sort((a, b) => a - b);
+  let sequence;
+
+  switch (pattern) {
+    case 'down':
+      sequence = ascending.slice().reverse();
+      break;
+    case 'upDown':
+      // Top and bottom notes are not repeated at the turns
+      sequence = ascending.concat(ascending.slice(1, -1).reverse());
+      break;
+    case 'asPlayed':
+      sequence = spread;
+      break;
+    default:
+      sequence = ascending;
+  }
+
+  return sequence.map(midi => Tone.Frequency(midi, 'midi').toNote());
+}
+
+/**
+ * Play the next step
+ * @param {number} time - Audio context time of the step
+ */
+function tick(time) {
+  if (chordNotes.length === 0 || !playStep) return;
+
+  const sequence = buildArpSequence(chordNotes, state.arpPattern, state.arpOctaves);
+  const index = state.arpPattern === 'random'
+    ? Math.floor(Math.random() * sequence.length)
+    : step % sequence.length;
+  step++;
+
+  const duration = Tone.Time(state.arpRate).toSeconds() * state.arpGate;
+  playStep(sequence[index], duration, time, stepVelocity);
+}
+
+/**
+ * Start arpeggiating a chord, or switch notes if already running
+ * @param {Array<string>} notes - Chord notes
+ * @param {Function} onStep - Called as onStep(note, duration, time, velocity) for every step
+ * @param {number} velocity - Velocity of the steps (0.0 to 1.0)
+ */
+export function startArpeggiator(notes, onStep, velocity = ARP_VELOCITY) {
+  chordNotes = notes.slice();
+  playStep = onStep;
+  stepVelocity = velocity;
+  if (loop) return;
+
+  step = 0;
+  acquireTransport('arpeggiator');
+
+  // Starting at transport time 0 lines the steps up with the transport's grid
+  loop = new Tone.Loop(tick, state.arpRate).start(0);
+}
+
+/**
+ * Switch the arpeggiated chord without restarting the rhythm
+ * @param {Array<string>} notes - New chord notes
+ * @param {number} velocity - Velocity of the steps from now on (0.0 to 1.0)
+ */
+export function setArpeggiatorNotes(notes, velocity = stepVelocity) {
+  chordNotes = notes.slice();
+  stepVelocity = velocity;
+}
+
+/**
+ * Stop arpeggiating
+ */
+export function stopArpeggiator() {
+  if (!loop) return;
+
+  loop.dispose();
+  loop = null;
+  chordNotes = [];
+  releaseTransport('arpeggiator');
+}
+
+/**
+ * Check whether the arpeggiator is running
+ * @returns {boolean} True while a chord is being arpeggiated
+ */
+export function isArpeggiatorRunning() {
+  return loop !== null;
+}
+
+/**
+ * Apply a new step rate to the running pattern
+ */
+export function updateArpeggiatorRate() {
+  if (loop) loop.interval = state.arpRate;
+}
+
+export default {
+  arpPatterns,
+  arpRates,
+  buildArpSequence,
+  startArpeggiator,
+  setArpeggiatorNotes,
+  stopArpeggiator,
+  isArpeggiatorRunning,
+  updateArpeggiatorRate
+};
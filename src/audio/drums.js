@@ -0,0 +1,348 @@
+/**
+ * Drum machine for HandSynth
+ * A 16-step sequencer with synthesized kick, snare, hat and clap, playing on the shared
+ * transport. Patterns live in slots that can be edited and switched while playing.
+ */
+
+import { state } from '../config.js';
+import { getMasterOutput } from './synth.js';
+import { getTransport, acquireTransport, releaseTransport } from './transport.js';
+
+// localStorage key for edited patterns
+const STORAGE_KEY = 'handsynth_drums';
+
+// Drum voices in display order
+export const DRUM_VOICES = ['kick', 'snare', 'hat', 'clap'];
+
+// Steps per pattern (sixteenth notes: a bar of 4/4)
+export const DRUM_STEPS = 16;
+
+// Built-in patterns, one per slot ('x' = hit)
+const DEFAULT_PATTERNS = [
+  {
+    kick:  'x...x...x...x...',
+    snare: '................',
+    hat:   '..x...x...x...x.',
+    clap:  '....x.......x...'
+  },
+  {
+    kick:  'x.....x...x.....',
+    snare: '....x.......x...',
+    hat:   'x.x.x.x.x.x.x.x.',
+    clap:  '................'
+  },
+  {
+    kick:  'x..x..x...x..x..',
+    snare: '....x.......x..x',
+    hat:   'xxxxxxxxxxxxxxxx',
+    clap:  '............x...'
+  },
+  {
+    kick:  'x.........x.....',
+    snare: '........x.......',
+    hat:   'x...x...x...x...',
+    clap:  '................'
+  }
+];
+
+// Hit velocities
+const VELOCITY = 0.9;
+
+let patterns = loadPatterns();
+
+// Drum voices and their output level
+let kit = null;
+let drumVolume = null;
+
+// Transport event id of the step callback
+let stepEventId = null;
+
+// Listeners for steps and for play/pattern changes
+const stepListeners = [];
+const changeListeners = [];
+
+/**
+ * Turn a pattern of 'x.' strings into step arrays
+ * @param {Object} pattern - Voice -> string
+ * @returns {Object} Voice -> Array<boolean>
+ */
+function parsePattern(pattern) {
+  const steps = {};
+  DRUM_VOICES.forEach(voice => {
+    const row = pattern[voice] || '';
+    steps[voice] = Array.from({ length: DRUM_STEPS }, (_, i) => row[i] === 'x');
+  });
+  return steps;
+}
+
+/**
+ * Read patterns from localStorage, falling back to the built-in ones
+ * @returns {Array<Object>} Patterns as voice -> Array<boolean>
+ */
+function loadPatterns() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (stored) return JSON.parse(stored).map(parsePattern);
+  } catch (e) {
+    console.error('Failed to parse stored drum patterns', e);
+    localStorage.removeItem(STORAGE_KEY);
+  }
+  return DEFAULT_PATTERNS.map(parsePattern);
+}
+
+/**
+ * Write patterns to localStorage (as 'x.' strings)
+ */
+function storePatterns() {
+  const serialized = patterns.map(pattern => {
+    const rows = {};
+    DRUM_VOICES.forEach(voice => {
+      rows[voice] = pattern[voice].map(hit => hit ? 'x' : '.').join('');
+    });
+    return rows;
+  });
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(serialized));
+}
+
+/**
+ * Build the drum voices on first use
+ */
+function ensureKit() {
+  if (kit) return;
+
+  // Drums skip the synth filter and reverb but are part of the master mix (and recordings)
+  drumVolume = new Tone.Volume(Tone.gainToDb(state.drumVolume)).connect(getMasterOutput());
+
+  const kick = new Tone.MembraneSynth({
+    pitchDecay: 0.05,
+    octaves: 6,
+    envelope: { attack: 0.001, decay: 0.4, sustain: 0, release: 0.1 }
+  }).connect(drumVolume);
+
+  const snareBody = new Tone.MembraneSynth({
+    pitchDecay: 0.02,
+    octaves: 2,
+    envelope: { attack: 0.001, decay: 0.12, sustain: 0, release: 0.05 },
+    volume: -8
+  }).connect(drumVolume);
+
+  const snareFilter = new Tone.Filter(1800, 'highpass').connect(drumVolume);
+  const snareNoise = new Tone.NoiseSynth({
+    noise: { type: 'white' },
+    envelope: { attack: 0.001, decay: 0.18, sustain: 0 },
+    volume: -6
+  }).connect(snareFilter);
+
+  const hatFilter = new Tone.Filter(7000, 'highpass').connect(drumVolume);
+  const hat = new Tone.NoiseSynth({
+    noise: { type: 'white' },
+    envelope: { attack: 0.001, decay: 0.05, sustain: 0 },
+    volume: -12
+  }).connect(hatFilter);
+
+  const clapFilter = new Tone.Filter({ frequency: 1200, type: 'bandpass', Q: 1 }).connect(drumVolume);
+  const clap = new Tone.NoiseSynth({
+    noise: { type: 'pink' },
+    envelope: { attack: 0.001, decay: 0.12, sustain: 0 },
+    volume: -4
+  }).connect(clapFilter);
+
+  kit = {
+    nodes: [kick, snareBody, snareFilter, snareNoise, hatFilter, hat, clapFilter, clap],
+    kick: (time, velocity) => kick.triggerAttackRelease('C1', '8n', time, velocity),
+    snare: (time, velocity) => {
+      snareBody.triggerAttackRelease('G2', '16n', time, velocity);
+      snareNoise.triggerAttackRelease('16n', time, velocity);
+    },
+    hat: (time, velocity) => hat.triggerAttackRelease('32n', time, velocity),
+    clap: (time, velocity) => {
+      // A few quick bursts make the smeared attack of a clap
+      [0, 0.012, 0.024].forEach(offset => clap.triggerAttackRelease('32n', time + offset, velocity));
+    }
+  };
+}
+
+/**
+ * Play one step of the current pattern
+ * @param {number} time - Audio context time of the step
+ */
+function onStep(time) {
+  // The pattern starts over on every bar, so it stays with the bar in any time signature
+  // (a bar of 3/4 plays the first 12 steps) and when the looper wraps the transport to 0
+  const [beatsPerBar, beatUnit] = state.timeSignature;
+  const sixteenth = Tone.Time('16n').toTicks();
+  const barSteps = Math.round(Tone.Time(`${beatUnit}n`).toTicks() * beatsPerBar / sixteenth);
+  const step = Math.round(getTransport().getTicksAtTime(time) / sixteenth) % barSteps % DRUM_STEPS;
+  const pattern = patterns[state.drumPattern];
+
+  DRUM_VOICES.forEach(voice => {
+    if (pattern[voice][step]) kit[voice](time, VELOCITY);
+  });
+
+  Tone.getDraw().schedule(() => stepListeners.forEach(listener => listener(step)), time);
+}
+
+/**
+ * Notify change listeners
+ */
+function notifyChange() {
+  changeListeners.forEach(listener => listener());
+}
+
+/**
+ * Listen for steps (e.g. to move a playhead)
+ * @param {Function} listener - Called with the step index when it sounds
+ */
+export function onDrumStep(listener) {
+  stepListeners.push(listener);
+}
+
+/**
+ * Listen for start/stop and pattern changes (e.g. from gestures)
+ * @param {Function} listener - Called with no arguments
+ */
+export function onDrumsChange(listener) {
+  changeListeners.push(listener);
+}
+
+/**
+ * Start the drums
+ */
+export function startDrums() {
+  if (stepEventId !== null || !state.audioStarted) return;
+
+  ensureKit();
+  acquireTransport('drums');
+  stepEventId = getTransport().scheduleRepeat(onStep, '16n', 0);
+  notifyChange();
+}
+
+/**
+ * Stop the drums
+ */
+export function stopDrums() {
+  if (stepEventId === null) return;
+
+  getTransport().clear(stepEventId);
+  stepEventId = null;
+  releaseTransport('drums');
+  notifyChange();
+}
+
+/**
+ * Start or stop the drums
+ */
+export function toggleDrums() {
+  if (stepEventId === null) {
+    startDrums();
+  } else {
+    stopDrums();
+  }
+}
+
+/**
+ * Check whether the drums are playing
+ * @returns {boolean} True while playing
+ */
+export function isDrumsPlaying() {
+  return stepEventId !== null;
+}
+
+/**
+ * Switch to a pattern slot (takes effect on the next step)
+ * @param {number} index - Slot index
+ */
+export function selectDrumPattern(index) {
+  state.drumPattern = Math.max(0, Math.min(patterns.length - 1, index));
+  notifyChange();
+}
+
+/**
+ * Switch to the next pattern slot
+ */
+export function nextDrumPattern() {
+  selectDrumPattern((state.drumPattern + 1) % patterns.length);
+}
+
+/**
+ * Get the number of pattern slots
+ * @returns {number} Slot count
+ */
+export function getDrumPatternCount() {
+  return patterns.length;
+}
+
+/**
+ * Get a pattern
+ * @param {number} index - Slot index
+ * @returns {Object} Voice -> Array<boolean> (a copy)
+ */
+export function getDrumPattern(index) {
+  const pattern = patterns[index];
+  const copy = {};
+  DRUM_VOICES.forEach(voice => {
+    copy[voice] = pattern[voice].slice();
+  });
+  return copy;
+}
+
+/**
+ * Toggle one step of the current pattern
+ * @param {string} voice - Drum voice
+ * @param {number} step - Step index
+ * @returns {boolean} True if the step is now on
+ */
+export function toggleDrumStep(voice, step) {
+  const row = patterns[state.drumPattern][voice];
+  row[step] = !row[step];
+  storePatterns();
+  return row[step];
+}
+
+/**
+ * Empty the current pattern
+ */
+export function clearDrumPattern() {
+  DRUM_VOICES.forEach(voice => {
+    patterns[state.drumPattern][voice].fill(false);
+  });
+  storePatterns();
+  notifyChange();
+}
+
+/**
+ * Put the built-in pattern back in the current slot
+ */
+export function resetDrumPattern() {
+  patterns[state.drumPattern] = parsePattern(DEFAULT_PATTERNS[state.drumPattern]);
+  storePatterns();
+  notifyChange();
+}
+
+/**
+ * Set the drum volume
+ * @param {number} volume - Volume level (0.0 to 1.0)
+ */
+export function setDrumVolume(volume) {
+  state.drumVolume = volume;
+  if (drumVolume) drumVolume.volume.rampTo(Tone.gainToDb(volume), 0.05);
+}
+
+export default {
+  DRUM_VOICES,
+  DRUM_STEPS,
+  onDrumStep,
+  onDrumsChange,
+  startDrums,
+  stopDrums,
+  toggleDrums,
+  isDrumsPlaying,
+  selectDrumPattern,
+  nextDrumPattern,
+  getDrumPatternCount,
+  getDrumPattern,
+  toggleDrumStep,
+  clearDrumPattern,
+  resetDrumPattern,
+  setDrumVolume
+};
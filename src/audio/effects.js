@@ -0,0 +1,171 @@
+/**
+ * Effects rack for HandSynth
+ * A chain of reorderable effect slots stored with each sound preset
+ */
+
+// Maximum number of slots in a rack
+export const MAX_EFFECT_SLOTS = 4;
+
+/**
+ * Effect types with their Tone.js constructor and editable parameters
+ * Each parameter: { label, min, max, step, default }
+ */
+export const effectTypes = {
+  delay: {
+    label: 'Delay',
+    create: params => new Tone.FeedbackDelay(params),
+    params: {
+      delayTime: { label: 'Time', min: 0.01, max: 1, step: 0.01, default: 0.25 },
+      feedback: { label: 'Feedback', min: 0, max: 0.95, step: 0.01, default: 0.35 }
+    }
+  },
+  chorus: {
+    label: 'Chorus',
+    create: params => new Tone.Chorus(params).start(),
+    params: {
+      frequency: { label: 'Rate', min: 0.1, max: 10, step: 0.1, default: 1.5 },
+      delayTime: { label: 'Delay', min: 1, max: 20, step: 0.5, default: 3.5 },
+      depth: { label: 'Depth', min: 0, max: 1, step: 0.01, default: 0.7 }
+    }
+  },
+  phaser: {
+    label: 'Phaser',
+    create: params => new Tone.Phaser(params),
+    params: {
+      frequency: { label: 'Rate', min: 0.1, max: 10, step: 0.1, default: 0.5 },
+      octaves: { label: 'Octaves', min: 1, max: 6, step: 0.5, default: 3 },
+      baseFrequency: { label: 'Base', min: 100, max: 2000, step: 10, default: 350 }
+    }
+  },
+  distortion: {
+    label: 'Distortion',
+    create: params => new Tone.Distortion(params),
+    params: {
+      distortion: { label: 'Drive', min: 0, max: 1, step: 0.01, default: 0.4 }
+    }
+  },
+  bitcrusher: {
+    label: 'Bitcrusher',
+    create: params => new Tone.BitCrusher(params),
+    params: {
+      bits: { label: 'Bits', min: 1, max: 16, step: 1, default: 6 }
+    }
+  },
+  reverb: {
+    label: 'Reverb',
+    create: params => new Tone.Reverb(params),
+    params: {
+      decay: { label: 'Decay', min: 0.2, max: 10, step: 0.1, default: 3 },
+      preDelay: { label: 'Pre-delay', min: 0, max: 0.2, step: 0.005, default: 0.02 }
+    }
+  }
+};
+
+/**
+ * Fill in missing effect slot fields with their defaults
+ * @param {Object} slot - { type, bypass, wet, params }
+ * @returns {Object} A complete copy of the slot
+ */
+export function normalizeEffect(slot = {}) {
+  const type = effectTypes[slot.type] ? slot.type : 'delay';
+  const params = {};
+
+  Object.entries(effectTypes[type].params).forEach(([name, spec]) => {
+    const value = slot.params && typeof slot.params[name] === 'number' ? slot.params[name] : spec.default;
+    params[name] = Math.max(spec.min, Math.min(value, spec.max));
+  });
+
+  return {
+    type,
+    bypass: !!slot.bypass,
+    wet: typeof slot.wet === 'number' ? Math.max(0, Math.min(slot.wet, 1)) : 0.5,
+    params
+  };
+}
+
+/**
+ * Create the Tone.js effect for a slot
+ * @param {Object} slot - Normalized slot
+ * @returns {Object} Tone.js effect
+ */
+function createEffect(slot) {
+  const effect = effectTypes[slot.type].create({ ...slot.params });
+  effect.wet.value = slot.bypass ? 0 : slot.wet;
+  return effect;
+}
+
+/**
+ * Create an effects rack
+ * @param {Array} slots - Effect slots in signal order
+ * @returns {Object} Rack with input, output, update and dispose
+ */
+export function createEffectsRack(slots = []) {
+  const input = new Tone.Gain(1);
+  const output = new Tone.Gain(1);
+
+  let current = [];
+  let effects = [];
+
+  /**
+   * Build the effect chain from scratch
+   */
+  const build = (nextSlots) => {
+    input.disconnect();
+    effects.forEach(effect => effect.dispose());
+
+    current = nextSlots;
+    effects = current.map(createEffect);
+    input.chain(...effects, output);
+  };
+
+  build(slots.slice(0, MAX_EFFECT_SLOTS).map(normalizeEffect));
+
+  return {
+    input,
+    output,
+
+    /**
+     * Apply new slot settings, rebuilding the chain if types or order changed
+     * @param {Array} nextSlots - Effect slots in signal order
+     */
+    update(nextSlots = []) {
+      const normalized = nextSlots.slice(0, MAX_EFFECT_SLOTS).map(normalizeEffect);
+      const sameLayout = normalized.length === current.length &&
+                         normalized.every((slot, i) => slot.type === current[i].type);
+
+      if (!sameLayout) {
+        build(normalized);
+        return;
+      }
+
+      normalized.forEach((slot, i) => {
+        const previous = current[i];
+        const effect = effects[i];
+
+        effect.wet.value = slot.bypass ? 0 : slot.wet;
+
+        // Only touch changed parameters (a reverb regenerates its impulse on every change)
+        const changed = {};
+        Object.keys(slot.params).forEach(name => {
+          if (slot.params[name] !== previous.params[name]) changed[name] = slot.params[name];
+        });
+        if (Object.keys(changed).length > 0) effect.set(changed);
+      });
+
+      current = normalized;
+    },
+
+    dispose() {
+      effects.forEach(effect => effect.dispose());
+      input.dispose();
+      output.dispose();
+    }
+  };
+}
+
+export default {
+  MAX_EFFECT_SLOTS,
+  effectTypes,
+  normalizeEffect,
+  createEffectsRack
+};
@@ -0,0 +1,360 @@
+/**
+ * Multi-track looper for HandSynth
+ * Records what one hand plays into layers that repeat on the shared transport.
+ * The first layer sets the loop length; later layers are overdubbed on top of it.
+ * Each layer keeps the sound it was recorded with.
+ */
+
+import { state } from '../config.js';
+import { showMessage } from '../ui/messages.js';
+import { createPlaybackSynth } from './synth.js';
+import {
+  getTransport, acquireTransport, releaseTransport, rewindTransport, setTransportLoop, getTransportSeconds
+} from './transport.js';
+import { tuneNotes } from './tuning.js';
+
+// Shortest first layer accepted (shorter takes are treated as accidental)
+const MIN_LOOP_LENGTH = 0.5;
+
+// Most layers kept at once (each one runs its own synth)
+const MAX_LAYERS = 8;
+
+// Recorded layers: { id, part, events, synth, eventIds, muted }
+let layers = [];
+
+// Loop length in seconds (null until the first layer is recorded)
+let loopLength = null;
+
+// Layer being recorded: { part, events, startedAt, held }
+let take = null;
+
+let nextLayerId = 1;
+
+// Called whenever layers or the recording state change
+const changeListeners = [];
+
+/**
+ * Listen for looper changes (e.g. to refresh the UI after a gesture)
+ * @param {Function} listener - Called with no arguments
+ */
+export function onLooperChange(listener) {
+  changeListeners.push(listener);
+}
+
+/**
+ * Notify listeners of a change
+ */
+function notifyChange() {
+  changeListeners.forEach(listener => listener());
+}
+
+/**
+ * Get the position of an event in the take being recorded
+ * @returns {number} Seconds from the start of the loop
+ */
+function takeTime() {
+  if (!loopLength) return Tone.now() - take.startedAt;
+
+  // Overdubs follow the transport, which wraps at the loop end
+  return Math.max(0, Math.min(getTransportSeconds(), loopLength - 0.001));
+}
+
+/**
+ * Start recording a layer
+ * @param {string} part - 'melody' or 'harmony'
+ * @returns {boolean} True if recording started
+ */
+export function startLoopRecording(part = state.loopRecordPart) {
+  if (take) return true;
+
+  if (!state.audioStarted) {
+    showMessage('Start audio before looping');
+    return false;
+  }
+
+  if (layers.length >= MAX_LAYERS) {
+    showMessage(`The looper holds ${MAX_LAYERS} layers - undo or clear one first`, 3000);
+    return false;
+  }
+
+  take = { part, events: [], startedAt: Tone.now(), held: new Set() };
+
+  // Notes already sounding start the layer
+  if (part === 'melody' && state.rightHandIsPlaying && state.currentMelodyNotes.length > 0) {
+    loopNoteOn('melody', state.currentMelodyNotes, 0.8);
+  } else if (part === 'harmony' && state.leftHandIsPlaying && state.currentChord) {
+    loopNoteOn('harmony', state.currentChord.notes, 0.6);
+  }
+
+  notifyChange();
+  return true;
+}
+
+/**
+ * Stop recording and add the take as a layer
+ * The first layer's length becomes the loop length and starts the transport
+ */
+export function stopLoopRecording() {
+  if (!take) return;
+
+  loopNoteOff(take.part, Array.from(take.held));
+  const finished = take;
+  take = null;
+
+  if (finished.events.length === 0) {
+    showMessage('Nothing was played - layer discarded');
+    notifyChange();
+    return;
+  }
+
+  if (!loopLength) {
+    const length = Tone.now() - finished.startedAt;
+    if (length < MIN_LOOP_LENGTH) {
+      showMessage('Loop too short - layer discarded');
+      notifyChange();
+      return;
+    }
+
+    loopLength = length;
+    finished.events.forEach(event => {
+      event.time = Math.min(event.time, loopLength - 0.001);
+    });
+
+    // The loop starts now, even if the transport was already running for something else
+    setTransportLoop(loopLength);
+    rewindTransport();
+    acquireTransport('looper');
+  }
+
+  addLayer(finished.part, finished.events);
+
+  notifyChange();
+}
+
+/**
+ * Start or stop recording
+ * @param {string} part - Part to record when starting
+ */
+export function toggleLoopRecording(part = state.loopRecordPart) {
+  if (take) {
+    stopLoopRecording();
+  } else {
+    startLoopRecording(part);
+  }
+}
+
+/**
+ * Schedule a recorded layer on the transport
+ * @param {string} part - 'melody' or 'harmony'
+ * @param {Array<Object>} events - { time, type: 'on'|'off', notes, velocity }
+ */
+function addLayer(part, events) {
+  const transport = getTransport();
+  const layer = {
+    id: nextLayerId++,
+    part,
+    events,
+    synth: createPlaybackSynth(part),
+    eventIds: [],
+    muted: false
+  };
+
+  // The transport loops, so each event fires once per pass
+  layer.eventIds = events.map(event =>
+    transport.schedule(time => playEvent(layer, event, time), event.time)
+  );
+
+  layers.push(layer);
+}
+
+/**
+ * Play one recorded event
+ * @param {Object} layer - Layer the event belongs to
+ * @param {Object} event - Recorded event
+ * @param {number} time - Audio context time
+ */
+function playEvent(layer, event, time) {
+  if (event.type === 'on') {
+    if (!layer.muted) layer.synth.triggerAttack(tuneNotes(event.notes), time, event.velocity);
+  } else {
+    layer.synth.triggerRelease(tuneNotes(event.notes), time);
+  }
+}
+
+/**
+ * Unschedule a layer and free its synth
+ * @param {Object} layer - Layer to remove
+ */
+function removeLayer(layer) {
+  const transport = getTransport();
+  layer.eventIds.forEach(id => transport.clear(id));
+  layer.synth.releaseAll();
+
+  // Let the release start before disposing
+  setTimeout(() => layer.synth.dispose(), 100);
+
+  layers = layers.filter(other => other !== layer);
+  if (layers.length === 0 && !take) resetLoop();
+}
+
+/**
+ * Forget the loop length and let go of the transport
+ */
+function resetLoop() {
+  loopLength = null;
+  setTransportLoop(null);
+  releaseTransport('looper');
+}
+
+/**
+ * Undo the last layer (or discard the take being recorded)
+ */
+export function undoLoopLayer() {
+  if (take) {
+    take = null;
+    if (layers.length === 0) resetLoop();
+  } else if (layers.length > 0) {
+    removeLayer(layers[layers.length - 1]);
+  }
+  notifyChange();
+}
+
+/**
+ * Remove one layer
+ * @param {number} id - Layer id
+ */
+export function clearLoopLayer(id) {
+  const layer = layers.find(other => other.id === id);
+  if (!layer) return;
+  removeLayer(layer);
+  notifyChange();
+}
+
+/**
+ * Remove every layer and reset the loop length
+ */
+export function clearLoops() {
+  take = null;
+  layers.slice().forEach(removeLayer);
+  resetLoop();
+  notifyChange();
+}
+
+/**
+ * Mute or unmute a layer
+ * @param {number} id - Layer id
+ * @param {boolean} muted - True to silence the layer
+ */
+export function setLoopLayerMuted(id, muted) {
+  const layer = layers.find(other => other.id === id);
+  if (!layer) return;
+
+  layer.muted = muted;
+  if (muted) layer.synth.releaseAll();
+  notifyChange();
+}
+
+/**
+ * Release every sounding loop voice (e.g. after a tuning change)
+ * Layers play on from their next recorded note
+ */
+export function releaseLoopVoices() {
+  layers.forEach(layer => layer.synth.releaseAll());
+}
+
+/**
+ * Get the recorded layers
+ * @returns {Array<Object>} Layers as { id, part, muted, noteCount }
+ */
+export function getLoopLayers() {
+  return layers.map(layer => ({
+    id: layer.id,
+    part: layer.part,
+    muted: layer.muted,
+    noteCount: layer.events.filter(event => event.type === 'on').length
+  }));
+}
+
+/**
+ * Get the part being recorded
+ * @returns {string|null} 'melody', 'harmony' or null when not recording
+ */
+export function getLoopRecordingPart() {
+  return take ? take.part : null;
+}
+
+/**
+ * Get the loop length
+ * @returns {number|null} Seconds, or null before the first layer
+ */
+export function getLoopLength() {
+  return loopLength;
+}
+
+/**
+ * Get the playback position
+ * @returns {number} Seconds into the loop (or into the first take while it is recorded)
+ */
+export function getLoopPosition() {
+  if (loopLength) return getTransportSeconds();
+  return take ? Tone.now() - take.startedAt : 0;
+}
+
+/**
+ * Log note ons played live (called by synth.js)
+ * @param {string} part - 'melody' or 'harmony'
+ * @param {string|Array} notes - Note name(s)
+ * @param {number} velocity - Velocity (0.0 to 1.0)
+ */
+export function loopNoteOn(part, notes, velocity = 0.8) {
+  if (!take || take.part !== part) return;
+
+  const noteList = Array.isArray(notes) ? notes : [notes];
+  if (noteList.length === 0) return;
+
+  noteList.forEach(note => take.held.add(note));
+  take.events.push({ time: takeTime(), type: 'on', notes: noteList, velocity });
+}
+
+/**
+ * Log note offs played live (called by synth.js)
+ * @param {string} part - 'melody' or 'harmony'
+ * @param {string|Array} notes - Note name(s)
+ */
+export function loopNoteOff(part, notes) {
+  if (!take || take.part !== part) return;
+
+  const noteList = (Array.isArray(notes) ? notes : [notes]).filter(note => take.held.has(note));
+  if (noteList.length === 0) return;
+
+  noteList.forEach(note => take.held.delete(note));
+  take.events.push({ time: takeTime(), type: 'off', notes: noteList });
+}
+
+/**
+ * Log note offs for every held note of a part (called by synth.js)
+ * @param {string} part - 'melody' or 'harmony'
+ */
+export function loopAllNotesOff(part) {
+  if (!take || take.part !== part) return;
+  loopNoteOff(part, Array.from(take.held));
+}
+
+export default {
+  onLooperChange,
+  startLoopRecording,
+  stopLoopRecording,
+  toggleLoopRecording,
+  undoLoopLayer,
+  clearLoopLayer,
+  clearLoops,
+  setLoopLayerMuted,
+  releaseLoopVoices,
+  getLoopLayers,
+  getLoopRecordingPart,
+  getLoopLength,
+  getLoopPosition,
+  loopNoteOn,
+  loopNoteOff,
+  loopAllNotesOff
+};
@@ -0,0 +1,208 @@
+/**
+ * Metronome for HandSynth
+ * Clicks every beat of the transport, accenting the downbeat, and plays the count-in.
+ * Clicks go straight to the speakers, so they are not part of recordings.
+ */
+
+import { state } from '../config.js';
+import { getTransport, acquireTransport, releaseTransport, hasOtherTransportUsers, rewindTransport } from './transport.js';
+
+// Click pitches and velocities
+const ACCENT_NOTE = 'C6';
+const BEAT_NOTE = 'G5';
+const ACCENT_VELOCITY = 1;
+const BEAT_VELOCITY = 0.6;
+
+// Click voice and its level
+let clickSynth = null;
+let clickVolume = null;
+
+// Transport event id of the beat callback
+let beatEventId = null;
+
+// Beats left in the count-in, plus the downbeat that ends it (0 when not counting in)
+let countInBeats = 0;
+let onCountInDone = null;
+
+// True while a count-in waits for the next downbeat (the transport was not rewound)
+let waitingForBar = false;
+
+// Incremented by every count-in, so the end scheduled for an earlier one is ignored
+let countInId = 0;
+
+// Called on every beat as listener(beatIndex, beatsPerBar, counting)
+const beatListeners = [];
+
+/**
+ * Listen for beats (e.g. to flash a beat indicator)
+ * @param {Function} listener - Called as listener(beatIndex, beatsPerBar, counting) when the beat sounds
+ */
+export function onMetronomeBeat(listener) {
+  beatListeners.push(listener);
+}
+
+/**
+ * Create the click voice on first use
+ */
+function ensureClickSynth() {
+  if (clickSynth) return;
+
+  clickVolume = new Tone.Volume(Tone.gainToDb(state.metronomeVolume)).connect(Tone.getDestination());
+  clickSynth = new Tone.Synth({
+    oscillator: { type: 'square' },
+    envelope: { attack: 0.001, decay: 0.05, sustain: 0, release: 0.02 }
+  }).connect(clickVolume);
+}
+
+/**
+ * Get the beat length of the current time signature
+ * @returns {string} Beat in Tone.js notation (e.g. '4n' in 3/4, '8n' in 6/8)
+ */
+function beatNotation() {
+  return `${state.timeSignature[1]}n`;
+}
+
+/**
+ * Handle one beat of the transport
+ * @param {number} time - Audio context time of the beat
+ */
+function onBeat(time) {
+  const beatsPerBar = state.timeSignature[0];
+  const beatTicks = Tone.Time(beatNotation()).toTicks();
+  const beatIndex = Math.round(getTransport().getTicksAtTime(time) / beatTicks) % beatsPerBar;
+  const accent = beatIndex === 0;
+
+  if (waitingForBar && accent) waitingForBar = false;
+
+  // The count-in ends on the downbeat after its last beat; this runs on the transport's
+  // clock (ahead of the beat), unlike Draw callbacks, so it can never be skipped
+  if (countInBeats === 1 && !waitingForBar) {
+    countInBeats = 0;
+    finishCountIn(time);
+  }
+
+  const counting = countInBeats > 0 && !waitingForBar;
+  if (!state.metronomeEnabled && !counting) return;
+
+  clickSynth.triggerAttackRelease(accent ? ACCENT_NOTE : BEAT_NOTE, 0.03, time,
+    accent ? ACCENT_VELOCITY : BEAT_VELOCITY);
+
+  // Draw only drives the beat indicator: it may drop late callbacks, which is fine for UI
+  Tone.getDraw().schedule(() => {
+    beatListeners.forEach(listener => listener(beatIndex, beatsPerBar, counting));
+  }, time);
+
+  if (counting) countInBeats--;
+}
+
+/**
+ * Schedule the beat callback if nothing has yet
+ */
+function startBeats() {
+  if (beatEventId !== null) return;
+
+  ensureClickSynth();
+  acquireTransport('metronome');
+  beatEventId = getTransport().scheduleRepeat(onBeat, beatNotation(), 0);
+}
+
+/**
+ * Remove the beat callback once neither the metronome nor a count-in needs it
+ */
+function stopBeatsIfIdle() {
+  if (beatEventId === null || state.metronomeEnabled || countInBeats > 0) return;
+
+  getTransport().clear(beatEventId);
+  beatEventId = null;
+  releaseTransport('metronome');
+}
+
+/**
+ * Turn the metronome on or off
+ * @param {boolean} enabled - True to click on every beat
+ */
+export function setMetronomeEnabled(enabled) {
+  state.metronomeEnabled = enabled;
+  if (!state.audioStarted) return;
+
+  if (enabled) {
+    startBeats();
+  } else {
+    stopBeatsIfIdle();
+  }
+}
+
+/**
+ * Set the click volume
+ * @param {number} volume - Volume level (0.0 to 1.0)
+ */
+export function setMetronomeVolume(volume) {
+  state.metronomeVolume = volume;
+  if (clickVolume) clickVolume.volume.rampTo(Tone.gainToDb(volume), 0.05);
+}
+
+/**
+ * Reschedule the beats after the time signature changed (the beat length may differ)
+ */
+export function updateMetronomeMeter() {
+  if (beatEventId === null) return;
+
+  getTransport().clear(beatEventId);
+  beatEventId = getTransport().scheduleRepeat(onBeat, beatNotation(), 0);
+}
+
+/**
+ * Count in from the top of a bar; gestures are not played until it ends
+ * The transport is rewound to bar 1 unless the looper or drums are using it,
+ * in which case the count-in starts at their next downbeat
+ * @param {number} bars - Bars to count (defaults to state.countInBars)
+ * @param {Function} onDone - Called when the count-in is over
+ */
+export function startCountIn(bars = state.countInBars, onDone = null) {
+  if (bars <= 0) {
+    if (onDone) onDone();
+    return;
+  }
+
+  countInId++;
+  countInBeats = bars * state.timeSignature[0] + 1;
+  onCountInDone = onDone;
+  state.countingIn = true;
+
+  startBeats();
+  if (hasOtherTransportUsers('metronome')) {
+    waitingForBar = true;
+  } else {
+    waitingForBar = false;
+    rewindTransport();
+  }
+}
+
+/**
+ * End the count-in when its downbeat sounds
+ * The beat callback runs a lookahead early, so hands are let go by a timer rather than
+ * straight away, which would have them play before the downbeat
+ * @param {number} time - Audio context time of the downbeat
+ */
+function finishCountIn(time) {
+  const id = countInId;
+
+  setTimeout(() => {
+    if (id !== countInId) return;
+
+    state.countingIn = false;
+    stopBeatsIfIdle();
+
+    const done = onCountInDone;
+    onCountInDone = null;
+    if (done) done();
+  }, Math.max(0, (time - Tone.now()) * 1000));
+}
+
+export default {
+  onMetronomeBeat,
+  setMetronomeEnabled,
+  setMetronomeVolume,
+  updateMetronomeMeter,
+  startCountIn
+};
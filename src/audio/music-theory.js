@@ -4,23 +4,148 @@
  */
 
 import { state, scales, notes, chordTypes } from '../config.js';
-import { mapRange } from '../utils/math.js';
+import { mapRange, lerp, clamp } from '../utils/math.js';
+import { getMidiFrequency } from './tuning.js';
+
+// Chord name suffixes by chord type
+const chordNameMap = {
+  'major': '',
+  'minor': 'm',
+  'minor7': 'm7',
+  'diminished': 'dim',
+  'augmented': 'aug',
+  'sus4': 'sus4',
+  'dominant7': '7',
+  'major7': 'maj7'
+};
+
+// Number of melody positions the hand's height is divided into
+const MELODY_POSITIONS = 14;
+
+// Number of chord positions the hand's height is divided into
+const CHORD_POSITIONS = 7;
+
+// Zone each hand's note or chord was last picked from, keyed by part ('melody', 'harmony')
+// or by part and finger ('melody:index'); a key is missing while its hand or finger is away
+const currentZones = {};
 
 /**
  * Get a note name from vertical hand position
  * @param {number} y - Vertical position (0.0-1.0)
  * @param {string} scale - Scale name (e.g., 'major', 'minor')
+ * @param {boolean} sticky - Apply zone hysteresis (for the tracked melody hand)
  * @returns {string} Note name with octave (e.g., "C4")
  */
-export function getNoteFromPosition(y, scale) {
+export function getNoteFromPosition(y, scale, sticky = false) {
   // Track position change
   const positionChanged = Math.abs(y - state.lastRightHandY) > 0.03;
   state.lastRightHandY = y;
   
   // Inverted mapping - higher hand position (lower y value) = higher note
   // Map from full range (0.0-1.0) to positions (0-14), but inverted
-  const position = Math.floor(mapRange(y, 0.0, 1.0, 14, 0));
+  const position = mapRange(y, 0.0, 1.0, MELODY_POSITIONS, 0);
+  const zone = sticky ? getStickyZone('melody', position) : Math.floor(position);
   
+  return getNoteFromMidi(getScaleStepMidi(zone, scale));
+}
+
+/**
+ * Get the MIDI note for a vertical position, e.g. of a fingertip
+ * Uses the same steps as getNoteFromPosition() without tracking the hand
+ * @param {number} y - Vertical position (0.0-1.0)
+ * @param {string} scale - Scale name (e.g., 'major', 'minor')
+ * @param {string|null} zoneKey - Key to apply zone hysteresis under (e.g. 'melody:index'), or null for none
+ * @returns {number} MIDI note number
+ */
+export function getMidiFromPosition(y, scale, zoneKey = null) {
+  const position = mapRange(y, 0.0, 1.0, MELODY_POSITIONS, 0);
+  const zone = zoneKey ? getStickyZone(zoneKey, position) : Math.floor(position);
+  return getScaleStepMidi(zone, scale);
+}
+
+/**
+ * Get a continuous pitch from vertical hand position (theremin mode)
+ * The free pitch glides through each scale step at the centre of the zone
+ * getNoteFromPosition() gives it, so a pull of 1 plays exactly the stepped notes
+ * @param {number} y - Vertical position (0.0-1.0)
+ * @param {string} scale - Scale name (e.g., 'major', 'minor')
+ * @param {number} pull - Pull toward the nearest scale tone (0 = free glide, 1 = stepped)
+ * @returns {Object} { midi (fractional), frequency, note (nearest note name), cents (offset from it) }
+ */
+export function getPitchFromPosition(y, scale, pull = 0) {
+  state.lastRightHandY = y;
+  
+  const position = mapRange(y, 0.0, 1.0, MELODY_POSITIONS, 0);
+  
+  // Nearest scale tone: the step whose zone the hand is in (with hysteresis, as in stepped mode)
+  const target = getScaleStepMidi(Math.min(getStickyZone('melody', position), MELODY_POSITIONS), scale);
+  
+  // Free pitch: interpolate between the centres of the neighbouring zones
+  const offset = Math.max(0, position - 0.5);
+  const lower = Math.min(Math.floor(offset), MELODY_POSITIONS - 1);
+  const fraction = Math.min(1, offset - lower);
+  const free = lerp(getScaleStepMidi(lower, scale), getScaleStepMidi(lower + 1, scale), fraction);
+  
+  const midi = lerp(free, target, clamp(pull, 0, 1));
+  const nearest = Math.round(midi);
+  
+  return {
+    midi,
+    frequency: getMidiFrequency(midi),
+    note: getNoteFromMidi(nearest),
+    cents: Math.round((midi - nearest) * 100)
+  };
+}
+
+/**
+ * Pick the zone a position falls in, with hysteresis: a hand stays in its current
+ * zone until it is past the zone's edge by state.zoneHysteresis (a fraction of a zone),
+ * so jitter at a boundary does not flicker between two notes
+ * @param {string} key - 'melody', 'harmony', or a finger's key like 'melody:index'
+ * @param {number} position - Position counted in zones (fractional)
+ * @returns {number} Zone index
+ */
+function getStickyZone(key, position) {
+  const zone = Math.floor(position);
+  const current = currentZones[key];
+  const margin = state.zoneHysteresis;
+  
+  if (current !== undefined && zone !== current &&
+      position > current - margin && position < current + 1 + margin) {
+    return current;
+  }
+  
+  currentZones[key] = zone;
+  return zone;
+}
+
+/**
+ * Forget the zone a hand was in (e.g. when the hand leaves), so it starts fresh
+ * @param {string} key - 'melody' or 'harmony' (its fingers are forgotten too), or one finger's key like 'melody:index'
+ */
+export function resetZone(key) {
+  Object.keys(currentZones).forEach(zoneKey => {
+    if (zoneKey === key || zoneKey.startsWith(`${key}:`)) delete currentZones[zoneKey];
+  });
+}
+
+/**
+ * Format a cents offset for display (e.g. "+12¢", "-5¢", "±0¢")
+ * @param {number} cents - Offset in cents
+ * @returns {string} Formatted offset
+ */
+export function formatCents(cents) {
+  if (cents === 0) return '±0¢';
+  return `${cents > 0 ? '+' : ''}${cents}¢`;
+}
+
+/**
+ * Get the MIDI note of a melody position (0-14) in the selected root and octave
+ * @param {number} position - Step counted up from the root
+ * @param {string} scale - Scale name
+ * @returns {number} MIDI note number
+ */
+function getScaleStepMidi(position, scale) {
   const scaleArray = scales[scale];
   const octaveOffset = Math.floor(position / scaleArray.length);
   const indexInScale = position % scaleArray.length;
@@ -28,28 +153,24 @@ export function getNoteFromPosition(y, scale) {
   const semitones = scaleArray[indexInScale];
   const rootIndex = notes.indexOf(state.selectedRoot);
   const midiBase = 60 + rootIndex;
-  const midiNote = midiBase + semitones + (state.octave - 4 + octaveOffset) * 12;
-  
-  const noteIndex = midiNote % 12;
-  const noteOctave = Math.floor(midiNote / 12) - 1;
-  const noteName = notes[noteIndex] + noteOctave;
-  
-  return noteName;
+  return midiBase + semitones + (state.octave - 4 + octaveOffset) * 12;
 }
 
 /**
  * Get a chord from vertical hand position
  * @param {number} y - Vertical position (0.0-1.0)
+ * @param {boolean} sticky - Apply zone hysteresis (for the tracked chord hand)
  * @returns {Object} Chord object with root, type, notes and name
  */
-export function getChordFromPosition(y) {
+export function getChordFromPosition(y, sticky = false) {
   // Track position change
   const positionChanged = Math.abs(y - state.lastLeftHandY) > 0.03;
   state.lastLeftHandY = y;
   
   // Inverted mapping - higher hand position (lower y value) = higher chord position
   // Map from full range (0.0-1.0) to chord positions (0-7), but inverted
-  const position = Math.floor(mapRange(y, 0.0, 1.0, 7, 0));
+  const scaled = mapRange(y, 0.0, 1.0, CHORD_POSITIONS, 0);
+  const position = sticky ? getStickyZone('harmony', scaled) : Math.floor(scaled);
   
   const scaleArray = scales[state.selectedScale];
   const scaleDegree = position % scaleArray.length;
@@ -92,18 +213,6 @@ export function getChordFromPosition(y) {
     chordNotes.push(notes[noteIndex] + noteOctave);
   });
   
-  // Format chord name
-  const chordNameMap = {
-    'major': '',
-    'minor': 'm',
-    'minor7': 'm7',
-    'diminished': 'dim',
-    'augmented': 'aug',
-    'sus4': 'sus4',
-    'dominant7': '7',
-    'major7': 'maj7'
-  };
-  
   const chord = {
     root: chordRoot,
     type: chordType,
@@ -114,7 +223,64 @@ export function getChordFromPosition(y) {
   return chord;
 }
 
+/**
+ * Get a note name from a MIDI note number
+ * @param {number} midiNote - MIDI note number (60 = C4)
+ * @returns {string} Note name with octave (e.g., "C4")
+ */
+export function getNoteFromMidi(midiNote) {
+  return notes[midiNote % 12] + (Math.floor(midiNote / 12) - 1);
+}
+
+/**
+ * Build a chord object from held MIDI notes (e.g. from a MIDI keyboard)
+ * Each pitch class is tried as the root; unrecognized voicings are named after their notes.
+ * The chord's notes keep the order given (e.g. the order keys were pressed)
+ * @param {Array<number>} midiNotes - MIDI note numbers
+ * @returns {Object} Chord object with root, type, notes and name
+ */
+export function getChordFromNotes(midiNotes) {
+  const sorted = [...midiNotes].sort((a, b) => a - b);
+  const chordNotes = midiNotes.map(getNoteFromMidi);
+  const pitchClasses = [...new Set(sorted.map(note => note % 12))];
+  
+  for (const rootClass of pitchClasses) {
+    const intervals = pitchClasses
+      .map(pitchClass => (pitchClass - rootClass + 12) % 12)
+      .sort((a, b) => a - b);
+    
+    const chordType = Object.keys(chordTypes).find(type =>
+      chordTypes[type].length === intervals.length &&
+      chordTypes[type].every((interval, i) => interval === intervals[i])
+    );
+    
+    if (chordType) {
+      const root = notes[rootClass];
+      return {
+        root,
+        type: chordType,
+        notes: chordNotes,
+        name: `${root}${chordNameMap[chordType]}`
+      };
+    }
+  }
+  
+  const root = notes[sorted[0] % 12];
+  return {
+    root,
+    type: pitchClasses.length === 1 ? 'single' : 'cluster',
+    notes: chordNotes,
+    name: pitchClasses.length === 1 ? root : pitchClasses.map(pitchClass => notes[pitchClass]).join('-')
+  };
+}
+
 export default {
   getNoteFromPosition,
-  getChordFromPosition
+  getMidiFromPosition,
+  getPitchFromPosition,
+  resetZone,
+  formatCents,
+  getChordFromPosition,
+  getNoteFromMidi,
+  getChordFromNotes
 };
\ No newline at end of file
@@ -0,0 +1,193 @@
+/**
+ * Preset library for HandSynth
+ * Combines the built-in sound presets with user presets stored in localStorage
+ */
+
+import { soundPresets } from '../config.js';
+import { normalizePreset } from './voice.js';
+
+// localStorage key for user presets
+const STORAGE_KEY = 'handsynth_presets';
+
+// Format tag written into exported files
+const EXPORT_FORMAT = 'handsynth-presets';
+
+let userPresets = loadUserPresets();
+
+// Presets that only live until the page reloads (e.g. dropped sample packs)
+const sessionPresets = Object.create(null);
+
+/**
+ * Check whether an object has a preset of its own under a name
+ * Names like "constructor" or "__proto__" must not match inherited properties
+ * @param {Object} presets - Presets keyed by name
+ * @param {string} name - Preset name
+ * @returns {boolean} True if the name is one of the object's own keys
+ */
+function hasOwn(presets, name) {
+  return Object.prototype.hasOwnProperty.call(presets, name);
+}
+
+/**
+ * Read user presets from localStorage
+ * @returns {Object} User presets keyed by name (without a prototype, so any name is a plain key)
+ */
+function loadUserPresets() {
+  const presets = Object.create(null);
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (stored) {
+      Object.entries(JSON.parse(stored)).forEach(([name, preset]) => {
+        presets[name] = preset;
+      });
+    }
+  } catch (e) {
+    console.error('Failed to parse stored presets', e);
+    localStorage.removeItem(STORAGE_KEY);
+  }
+  return presets;
+}
+
+/**
+ * Write user presets to localStorage
+ */
+function storeUserPresets() {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(userPresets));
+}
+
+/**
+ * Get a preset by name
+ * @param {string} name - Preset name
+ * @returns {Object} Normalized preset (falls back to the first built-in preset)
+ */
+export function getPreset(name) {
+  const preset = (hasOwn(userPresets, name) && userPresets[name]) ||
+                 (hasOwn(sessionPresets, name) && sessionPresets[name]) ||
+                 (hasOwn(soundPresets, name) && soundPresets[name]) ||
+                 Object.values(soundPresets)[0];
+  return normalizePreset(preset);
+}
+
+/**
+ * Check whether a preset exists
+ * @param {string} name - Preset name
+ * @returns {boolean} True for built-in and user presets
+ */
+export function hasPreset(name) {
+  return hasOwn(userPresets, name) || hasOwn(sessionPresets, name) || hasOwn(soundPresets, name);
+}
+
+/**
+ * Check whether a preset was created by the user
+ * @param {string} name - Preset name
+ * @returns {boolean} True if the preset is stored in localStorage
+ */
+export function isUserPreset(name) {
+  return hasOwn(userPresets, name);
+}
+
+/**
+ * Get the names of all presets
+ * @returns {Object} { builtIn: string[], user: string[], session: string[] }
+ */
+export function getPresetNames() {
+  return {
+    builtIn: Object.keys(soundPresets),
+    user: Object.keys(userPresets),
+    session: Object.keys(sessionPresets)
+  };
+}
+
+/**
+ * Add a preset for the current session only (not saved to localStorage)
+ * @param {string} name - Preset name
+ * @param {Object} preset - Preset in the schema described in config.js
+ */
+export function addSessionPreset(name, preset) {
+  sessionPresets[name] = normalizePreset(preset);
+}
+
+/**
+ * Save a user preset
+ * @param {string} name - Preset name
+ * @param {Object} preset - Preset in the schema described in config.js
+ */
+export function saveUserPreset(name, preset) {
+  if (!name) throw new Error('Preset name is required');
+  if (hasOwn(soundPresets, name)) throw new Error(`"${name}" is a built-in preset name`);
+
+  userPresets[name] = normalizePreset(preset);
+  storeUserPresets();
+}
+
+/**
+ * Delete a user preset
+ * @param {string} name - Preset name
+ */
+export function deleteUserPreset(name) {
+  if (!hasOwn(userPresets, name)) return;
+
+  delete userPresets[name];
+  storeUserPresets();
+}
+
+/**
+ * Serialize presets to a JSON string for sharing
+ * @param {Object} presets - Presets keyed by name
+ * @returns {string} JSON document
+ */
+export function exportPresets(presets) {
+  const normalized = Object.create(null);
+  Object.entries(presets).forEach(([name, preset]) => {
+    normalized[name] = normalizePreset(preset);
+  });
+
+  return JSON.stringify({ format: EXPORT_FORMAT, version: 1, presets: normalized }, null, 2);
+}
+
+/**
+ * Import presets from a JSON document created by exportPresets
+ * Existing presets are never overwritten: a clashing import is saved as "<name> (imported)"
+ * (or "<name> (imported 2)" and so on)
+ * @param {string} json - JSON document
+ * @returns {Object} { names: saved preset names, renamed: how many were renamed to avoid a clash }
+ */
+export function importPresets(json) {
+  const data = JSON.parse(json);
+  if (!data || data.format !== EXPORT_FORMAT || typeof data.presets !== 'object') {
+    throw new Error('Not a HandSynth preset file');
+  }
+
+  // Every entry is checked before any is saved, so a bad file changes nothing
+  const imported = Object.create(null);
+  let renamed = 0;
+  Object.entries(data.presets).forEach(([name, preset]) => {
+    if (!preset || typeof preset !== 'object' || Array.isArray(preset)) {
+      throw new Error(`Preset "${name}" is not valid`);
+    }
+
+    let savedName = name;
+    for (let i = 1; hasPreset(savedName) || hasOwn(imported, savedName); i++) {
+      savedName = i === 1 ? `${name} (imported)` : `${name} (imported ${i})`;
+    }
+    if (savedName !== name) renamed++;
+
+    imported[savedName] = normalizePreset(preset);
+  });
+
+  Object.assign(userPresets, imported);
+  storeUserPresets();
+  return { names: Object.keys(imported), renamed };
+}
+
+export default {
+  getPreset,
+  hasPreset,
+  isUserPreset,
+  getPresetNames,
+  addSessionPreset,
+  saveUserPreset,
+  deleteUserPreset,
+  exportPresets,
+  importPresets
+};
@@ -0,0 +1,321 @@
+/**
+ * Audio recorder for HandSynth
+ * Captures the master output as WAV (raw PCM) and, where supported, WebM/Opus
+ */
+
+import { getMasterOutput } from './synth.js';
+
+// Name of the PCM capture worklet
+const WORKLET_NAME = 'handsynth-pcm-capture';
+
+// Seconds of audio the worklet collects before posting them to the main thread
+const BATCH_SECONDS = 0.5;
+
+// Longest take kept in memory (about 370 MB of samples at 48 kHz); recording stops there
+export const MAX_RECORDING_SECONDS = 10 * 60;
+
+// How long to wait for the worklet's last samples (e.g. while the context is suspended), in ms
+const FLUSH_TIMEOUT = 2000;
+
+// Worklet that collects input samples into batches and posts each full batch to the main thread;
+// on 'stop' it posts what is left, then 'done'
+const WORKLET_SOURCE = `
+class PcmCaptureProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.recording = true;
+    this.batchSize = Math.round(sampleRate * ${BATCH_SECONDS});
+    this.batch = null;
+    this.filled = 0;
+    this.port.onmessage = (event) => {
+      if (event.data !== 'stop') return;
+      this.flush();
+      this.port.postMessage('done');
+      this.recording = false;
+    };
+  }
+
+  flush() {
+    if (!this.batch || this.filled === 0) return;
+    const channels = this.batch.map(channel => channel.slice(0, this.filled));
+    this.port.postMessage(channels, channels.map(channel => channel.buffer));
+    this.batch = null;
+    this.filled = 0;
+  }
+
+  process(inputs) {
+    if (!this.recording) return false;
+
+    const input = inputs[0];
+    if (input && input.length > 0) {
+      const frames = input[0].length;
+      if (this.batch && this.filled + frames > this.batchSize) this.flush();
+      if (!this.batch) this.batch = input.map(() => new Float32Array(this.batchSize));
+
+      this.batch.forEach((channel, i) => {
+        if (input[i]) channel.set(input[i], this.filled);
+      });
+      this.filled += frames;
+    }
+    return true;
+  }
+}
+
+registerProcessor('${WORKLET_NAME}', PcmCaptureProcessor);
+`;
+
+// Preferred compressed format
+const WEBM_MIME_TYPE = 'audio/webm;codecs=opus';
+
+// Recording session
+let workletLoaded = null;
+let captureNode = null;
+let mediaRecorder = null;
+let meter = null;
+let chunks = [];
+let startedAt = 0;
+let recording = false;
+let limitTimer = null;
+
+// Start or stop in progress, so repeated clicks share it instead of doubling the capture
+let startPromise = null;
+let stopPromise = null;
+
+/**
+ * Check whether the browser can record WebM/Opus
+ * @returns {boolean} True if MediaRecorder supports WebM/Opus
+ */
+export function isWebmSupported() {
+  return typeof MediaRecorder !== 'undefined' && MediaRecorder.isTypeSupported(WEBM_MIME_TYPE);
+}
+
+/**
+ * Load the capture worklet once per audio context
+ * @returns {Promise<void>}
+ */
+function loadWorklet() {
+  if (!workletLoaded) {
+    const url = URL.createObjectURL(new Blob([WORKLET_SOURCE], { type: 'application/javascript' }));
+    workletLoaded = Tone.getContext().addAudioWorkletModule(url);
+  }
+  return workletLoaded;
+}
+
+/**
+ * Start recording the master output
+ * @param {Function} onLimit - Called when the take reaches MAX_RECORDING_SECONDS (the caller should stop it)
+ * @returns {Promise<void>}
+ */
+export function startRecording(onLimit) {
+  if (recording) return Promise.resolve();
+  if (startPromise) return startPromise;
+  if (stopPromise) return Promise.reject(new Error('The previous take is still being saved'));
+
+  const master = getMasterOutput();
+  if (!master) return Promise.reject(new Error('Start audio before recording'));
+
+  startPromise = loadWorklet()
+    .then(() => {
+      chunks = [];
+      captureNode = Tone.getContext().createAudioWorkletNode(WORKLET_NAME, {
+        numberOfInputs: 1,
+        numberOfOutputs: 0,
+        channelCount: 2,
+        channelCountMode: 'explicit'
+      });
+      captureNode.port.onmessage = (event) => {
+        if (Array.isArray(event.data)) chunks.push(event.data);
+      };
+      master.connect(captureNode);
+
+      meter = new Tone.Meter({ smoothing: 0.8 });
+      master.connect(meter);
+
+      if (isWebmSupported()) {
+        mediaRecorder = new Tone.Recorder({ mimeType: WEBM_MIME_TYPE });
+        master.connect(mediaRecorder);
+        return mediaRecorder.start();
+      }
+    })
+    .then(() => {
+      startedAt = Tone.now();
+      recording = true;
+      if (onLimit) limitTimer = setTimeout(onLimit, MAX_RECORDING_SECONDS * 1000);
+      console.log("Recording started");
+    })
+    .catch(error => {
+      // Undo a half-started take so the next one starts clean
+      if (captureNode) {
+        master.disconnect(captureNode);
+        captureNode.port.onmessage = null;
+        captureNode = null;
+      }
+      if (meter) {
+        meter.dispose();
+        meter = null;
+      }
+      if (mediaRecorder) {
+        mediaRecorder.dispose();
+        mediaRecorder = null;
+      }
+      chunks = [];
+      throw error;
+    })
+    .finally(() => {
+      startPromise = null;
+    });
+
+  return startPromise;
+}
+
+/**
+ * Stop recording
+ * The take ends once the worklet has handed over its last samples
+ * @param {Function} onStopped - Called at that moment, before the files are encoded (e.g. to end other captures with it)
+ * @returns {Promise<Object>} Take: { wav: Blob, webm: Blob|null, duration }
+ */
+export function stopRecording(onStopped) {
+  if (stopPromise) return stopPromise;
+  if (!recording) return Promise.resolve(null);
+
+  clearTimeout(limitTimer);
+  limitTimer = null;
+
+  const master = getMasterOutput();
+  const node = captureNode;
+
+  const flushed = new Promise(resolve => {
+    setTimeout(resolve, FLUSH_TIMEOUT);
+    node.port.onmessage = (event) => {
+      if (event.data === 'done') {
+        resolve();
+      } else if (Array.isArray(event.data)) {
+        chunks.push(event.data);
+      }
+    };
+  });
+  node.port.postMessage('stop');
+
+  stopPromise = flushed
+    .then(() => {
+      recording = false;
+      const duration = Tone.now() - startedAt;
+      if (onStopped) onStopped();
+
+      master.disconnect(node);
+      captureNode = null;
+
+      meter.dispose();
+      meter = null;
+
+      const webmPromise = mediaRecorder ? mediaRecorder.stop() : Promise.resolve(null);
+      return webmPromise.then(webm => {
+        if (mediaRecorder) {
+          mediaRecorder.dispose();
+          mediaRecorder = null;
+        }
+
+        const wav = encodeWav(chunks, Tone.getContext().sampleRate);
+        chunks = [];
+
+        console.log(`Recording stopped after ${duration.toFixed(1)}s`);
+        return { wav, webm, duration };
+      });
+    })
+    .finally(() => {
+      stopPromise = null;
+    });
+
+  return stopPromise;
+}
+
+/**
+ * Check whether a recording is in progress
+ * @returns {boolean} True while recording
+ */
+export function isRecording() {
+  return recording;
+}
+
+/**
+ * Get the elapsed recording time
+ * @returns {number} Seconds since recording started (0 when idle)
+ */
+export function getElapsedTime() {
+  return recording ? Tone.now() - startedAt : 0;
+}
+
+/**
+ * Get the current output level
+ * @returns {number} Level in dB (-Infinity when idle)
+ */
+export function getLevel() {
+  if (!meter) return -Infinity;
+  const value = meter.getValue();
+  return Array.isArray(value) ? Math.max(...value) : value;
+}
+
+/**
+ * Encode captured PCM blocks as a 16-bit stereo WAV file
+ * @param {Array<Array<Float32Array>>} blocks - Captured blocks (one array per channel)
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Blob} WAV file
+ */
+function encodeWav(blocks, sampleRate) {
+  const numChannels = 2;
+  const numFrames = blocks.reduce((sum, block) => sum + block[0].length, 0);
+  const dataSize = numFrames * numChannels * 2;
+  const buffer = new ArrayBuffer(44 + dataSize);
+  const view = new DataView(buffer);
+
+  const writeString = (offset, text) => {
+    for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+  };
+
+  // RIFF header
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(8, 'WAVE');
+
+  // Format chunk: PCM, stereo, 16 bit
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, numChannels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * numChannels * 2, true);
+  view.setUint16(32, numChannels * 2, true);
+  view.setUint16(34, 16, true);
+
+  // Data chunk with interleaved samples
+  writeString(36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  const writeSample = (offset, sample) => {
+    const clamped = Math.max(-1, Math.min(1, sample));
+    view.setInt16(offset, clamped < 0 ? clamped * 0x8000 : clamped * 0x7FFF, true);
+  };
+
+  let offset = 44;
+  blocks.forEach(block => {
+    const left = block[0];
+    const right = block[1] || block[0];
+    for (let i = 0; i < left.length; i++) {
+      writeSample(offset, left[i]);
+      writeSample(offset + 2, right[i]);
+      offset += 4;
+    }
+  });
+
+  return new Blob([buffer], { type: 'audio/wav' });
+}
+
+export default {
+  MAX_RECORDING_SECONDS,
+  isWebmSupported,
+  startRecording,
+  stopRecording,
+  isRecording,
+  getElapsedTime,
+  getLevel
+};
@@ -0,0 +1,268 @@
+/**
+ * Sample-based instruments for HandSynth
+ * Loads multi-sampled instruments and plays them through Tone.Sampler,
+ * which pitch-shifts the nearest sample for notes without their own file
+ */
+
+import { createEffectsRack } from './effects.js';
+import { normalizePreset } from './voice.js';
+import { showMessage, showLoading, updateLoading, hideLoading } from '../ui/messages.js';
+
+// Loaded sample packs: pack key -> { note: ToneAudioBuffer }
+const loadedPacks = new Map();
+
+// Pending loads, so two synths asking for the same pack share one download
+const pendingPacks = new Map();
+
+/**
+ * Get the cache key for a preset's sample source
+ * @param {Object} samples - { pack } for registered packs or { baseUrl, urls } for bundled ones
+ * @returns {string} Pack key
+ */
+function packKey(samples) {
+  return samples.pack || samples.baseUrl;
+}
+
+/**
+ * Register an in-memory sample pack (e.g. files dropped onto the page)
+ * @param {string} id - Pack id referenced by presets as samples.pack
+ * @param {Object} buffers - Note name -> ToneAudioBuffer
+ */
+export function registerSamplePack(id, buffers) {
+  loadedPacks.set(id, buffers);
+}
+
+/**
+ * Load the samples of a preset, showing progress with showLoading()
+ * @param {Object} samples - Preset sample source
+ * @param {string} name - Instrument name used in progress messages
+ * @returns {Promise<Object>} Note name -> ToneAudioBuffer
+ */
+export function loadSamplePack(samples, name) {
+  const key = packKey(samples);
+  if (loadedPacks.has(key)) return Promise.resolve(loadedPacks.get(key));
+  if (pendingPacks.has(key)) return pendingPacks.get(key);
+  if (!samples.urls) return Promise.reject(new Error(`Sample pack "${key}" is not loaded`));
+
+  const entries = Object.entries(samples.urls);
+  const loadingEl = showLoading(`Loading ${name} samples... 0/${entries.length}`);
+  let loaded = 0;
+
+  const promise = Promise.all(entries.map(([note, file]) =>
+    Tone.ToneAudioBuffer.fromUrl((samples.baseUrl || '') + file).then(buffer => {
+      loaded++;
+      updateLoading(loadingEl, `Loading ${name} samples... ${loaded}/${entries.length}`);
+      return [note, buffer];
+    })
+  ))
+    .then(pairs => {
+      const buffers = Object.fromEntries(pairs);
+      loadedPacks.set(key, buffers);
+      return buffers;
+    })
+    .finally(() => {
+      pendingPacks.delete(key);
+      hideLoading(loadingEl);
+    });
+
+  pendingPacks.set(key, promise);
+  return promise;
+}
+
+/**
+ * Create a sampler synth with the same interface as a patch synth
+ * Notes played before the samples have loaded start once they have (if they are still held)
+ * @param {Object} preset - Normalized preset with type 'sampler'
+ * @param {string} name - Preset name used in messages
+ * @returns {Object} Synth with triggerAttack, triggerRelease, releaseAll, setNotes, glideTo, set, volume, detune, canBend, connect and dispose
+ */
+export function createSamplerSynth(preset, name = 'sampler') {
+  let patch = preset;
+  let sampler = null;
+  let disposed = false;
+
+  // Frequencies currently held, for setNotes()
+  const sounding = new Set();
+
+  // Velocity of the last attack, reused when glideTo() steps to a new sample note
+  let lastVelocity = 1;
+
+  const level = new Tone.Volume(patch.gain);
+  const rack = createEffectsRack(patch.effects);
+  const output = new Tone.Volume(0);
+  level.connect(rack.input);
+  rack.output.connect(output);
+
+  // Samplers cannot be bent (canBend is false); the signal is kept so callers can treat all synths alike
+  const detune = new Tone.Signal({ value: 0, units: 'cents' });
+
+  loadSamplePack(patch.samples, name)
+    .then(buffers => {
+      if (disposed) return;
+      sampler = new Tone.Sampler({
+        urls: buffers,
+        attack: patch.envelope.attack,
+        release: patch.envelope.release
+      });
+      sampler.connect(level);
+
+      // Notes held while loading start now rather than being lost
+      if (sounding.size > 0) sampler.triggerAttack(Array.from(sounding), Tone.now(), lastVelocity);
+    })
+    .catch(error => {
+      console.error("Error loading samples:", error);
+      showMessage(`Could not load ${name} samples: ${error.message}`, 4000);
+    });
+
+  const toFrequency = note => typeof note === 'number' ? note : Tone.Frequency(note).toFrequency();
+
+  const synth = {
+    volume: output.volume,
+    detune,
+    canBend: false,
+
+    triggerAttack(notes, time = Tone.now(), velocity = 1) {
+      const noteList = (Array.isArray(notes) ? notes : [notes]).map(toFrequency);
+      noteList.forEach(frequency => sounding.add(frequency));
+      lastVelocity = velocity;
+      if (sampler) sampler.triggerAttack(noteList, time, velocity);
+      return synth;
+    },
+
+    triggerRelease(notes, time = Tone.now()) {
+      const noteList = (Array.isArray(notes) ? notes : [notes]).map(toFrequency);
+      noteList.forEach(frequency => sounding.delete(frequency));
+      if (sampler) sampler.triggerRelease(noteList, time);
+      return synth;
+    },
+
+    releaseAll(time = Tone.now()) {
+      sounding.clear();
+      if (sampler) sampler.releaseAll(time);
+      return synth;
+    },
+
+    setNotes(notes, time = Tone.now(), velocity = 1) {
+      const target = notes.map(toFrequency);
+      const leaving = [...sounding].filter(frequency => !target.includes(frequency));
+      const entering = target.filter(frequency => !sounding.has(frequency));
+
+      if (leaving.length > 0) synth.triggerRelease(leaving, time);
+      if (entering.length > 0) synth.triggerAttack(entering, time, velocity);
+      return synth;
+    },
+
+    /**
+     * Samplers cannot glide, so follow the pitch in semitone steps instead
+     */
+    glideTo(note, time = Tone.now()) {
+      if (sounding.size === 0) return synth;
+
+      const target = Tone.Frequency(Tone.Frequency(toFrequency(note)).toMidi(), 'midi').toFrequency();
+      if (!sounding.has(target)) synth.setNotes([target], time, lastVelocity);
+      return synth;
+    },
+
+    /**
+     * Apply new preset values; returns false if the preset needs a different instrument
+     */
+    set(nextPreset) {
+      const next = normalizePreset(nextPreset);
+      if (next.type !== 'sampler' || packKey(next.samples) !== packKey(patch.samples)) {
+        return false;
+      }
+
+      if (sampler) {
+        sampler.attack = next.envelope.attack;
+        sampler.release = next.envelope.release;
+      }
+      level.volume.value = next.gain;
+      rack.update(next.effects);
+      patch = next;
+      return true;
+    },
+
+    connect(destination) {
+      output.connect(destination);
+      return synth;
+    },
+
+    dispose() {
+      disposed = true;
+      if (sampler) sampler.dispose();
+      detune.dispose();
+      level.dispose();
+      rack.dispose();
+      output.dispose();
+    }
+  };
+
+  return synth;
+}
+
+/**
+ * Find the note name in a sample file name (e.g. "Piano_C#4.wav" -> "C#4")
+ * @param {string} fileName - File name
+ * @returns {string|null} Note name or null if none was found
+ */
+export function noteFromFileName(fileName) {
+  const tokens = fileName.replace(/\.[^.]+$/, '').split(/[^A-Za-z0-9#]+/);
+
+  // The last token that starts with a note name wins ("Strings_A3v2" -> "A3")
+  for (let i = tokens.length - 1; i >= 0; i--) {
+    const match = tokens[i].match(/^([A-Ga-g])(#|b|s)?(\d)/);
+    if (match) {
+      const accidental = match[2] === 's' ? '#' : (match[2] || '');
+      return match[1].toUpperCase() + accidental + match[3];
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Decode dropped audio files into a sample pack
+ * Files are mapped to notes by their names; a single unnamed file becomes C4
+ * @param {Array<File>} files - WAV/OGG files
+ * @returns {Promise<Object>} Note name -> ToneAudioBuffer
+ */
+export function decodeSampleFiles(files) {
+  const loadingEl = showLoading(`Decoding samples... 0/${files.length}`);
+  let decoded = 0;
+
+  return Promise.all(files.map(file =>
+    file.arrayBuffer()
+      .then(data => Tone.getContext().decodeAudioData(data))
+      .then(audioBuffer => {
+        decoded++;
+        updateLoading(loadingEl, `Decoding samples... ${decoded}/${files.length}`);
+        return [noteFromFileName(file.name), new Tone.ToneAudioBuffer(audioBuffer)];
+      })
+  ))
+    .then(pairs => {
+      const buffers = {};
+      pairs.forEach(([note, buffer], i) => {
+        if (note) {
+          buffers[note] = buffer;
+        } else if (files.length === 1) {
+          buffers.C4 = buffer;
+        } else {
+          console.warn(`No note name in "${files[i].name}", skipping`);
+        }
+      });
+
+      if (Object.keys(buffers).length === 0) {
+        throw new Error('Name your files after their notes, e.g. "C4.wav"');
+      }
+      return buffers;
+    })
+    .finally(() => hideLoading(loadingEl));
+}
+
+export default {
+  registerSamplePack,
+  loadSamplePack,
+  createSamplerSynth,
+  noteFromFileName,
+  decodeSampleFiles
+};
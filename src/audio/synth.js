@@ -3,13 +3,73 @@
  * Handles Tone.js audio creation and management
  */
 
-import { state, soundPresets } from '../config.js';
+import { state } from '../config.js';
 import { showMessage } from '../ui/messages.js';
 import { updateNoteDisplay } from '../ui/controls.js';
 import { pulseBlackHole } from '../visual/blackhole.js';
+import { createPatchSynth } from './voice.js';
+import { createSamplerSynth } from './sampler.js';
+import { getPreset } from './presets.js';
+import {
+  sendNoteOn,
+  sendNoteOff,
+  releaseMidiNotes,
+  sendControlChange,
+  sendPitchBend,
+  CC_MODULATION,
+  CC_VOLUME,
+  CC_PAN,
+  CC_BRIGHTNESS,
+  CC_REVERB
+} from '../midi/midi-output.js';
+import {
+  recordNoteOn,
+  recordNoteOff,
+  recordAllNotesOff,
+  recordControlChange,
+  recordPitchBend
+} from '../midi/midi-recorder.js';
+import { loopNoteOn, loopNoteOff, loopAllNotesOff, releaseLoopVoices } from './looper.js';
+import { startArpeggiator, setArpeggiatorNotes, stopArpeggiator } from './arpeggiator.js';
+import { applyTransportSettings, quantizeTime } from './transport.js';
+import { tuneNote, tuneNotes } from './tuning.js';
 
 // Audio components
-let melodySynth, harmonySynth, filter, reverb;
+let melodySynth, harmonySynth, filter, reverb, masterOutput;
+
+// Both hands' synths feed this bus, so they can be muted for MIDI-only use
+let synthBus;
+
+// Per-hand panners in front of the synth bus
+const panners = { melody: null, harmony: null };
+
+// Range of the master lowpass cutoff controlled by a hand's horizontal position
+const MIN_CUTOFF = 200;
+const MAX_CUTOFF = 18000;
+
+// Harmony voices: enough for a 4-note chord plus the release tails of the previous one
+const HARMONY_POLYPHONY = 8;
+
+// Melody voices when every finger plays its own note (five fingers plus release tails)
+const FINGER_POLYPHONY = 8;
+
+// Melody voices for playback synths (recorded note changes overlap slightly, and fingers play several)
+const PLAYBACK_MELODY_POLYPHONY = FINGER_POLYPHONY;
+
+// Preset names the current synths were built with
+let melodySynthSound = null;
+let harmonySynthSound = null;
+
+// Melody vibrato: a fixed-rate LFO scaled to the depth in cents
+const VIBRATO_RATE = 5.5;
+let vibrato, vibratoDepth;
+
+// Current bend of the melody in cents (kept when the synth is rebuilt)
+let melodyBend = 0;
+
+// Latest scheduled attack per hand (quantized attacks can lie in the future)
+let melodyTriggerTime = 0;
+let harmonyTriggerTime = 0;
 
 /**
  * Initialize audio system
@@ -26,8 +86,11 @@ export function setupAudio() {
     // Create a limiter to prevent audio clipping
     const limiter = new Tone.Limiter(-3).toDestination();
     
+    // Master bus - everything heard goes through here (tapped by the recorder)
+    masterOutput = new Tone.Gain(1).toDestination();
+    
     // Improve overall sound with a gentle compressor
-    const compressor = new Tone.Compressor(-12, 3).toDestination();
+    const compressor = new Tone.Compressor(-12, 3).connect(masterOutput);
     
     // Configure reverb with a low initial value
     reverb = new Tone.Reverb({
@@ -50,6 +113,21 @@ export function setupAudio() {
     filter.connect(reverb);
     reverb.connect(compressor);
     
+    // Synth bus in front of the filter
+    synthBus = new Tone.Gain(state.muteInternalSynths ? 0 : 1);
+    synthBus.connect(filter);
+    
+    // Hands can be panned by their horizontal position
+    panners.melody = new Tone.Panner(0).connect(synthBus);
+    panners.harmony = new Tone.Panner(0).connect(synthBus);
+    
+    // Vibrato for the melody hand, routed into the melody synth's pitch
+    vibratoDepth = new Tone.Gain(0);
+    vibrato = new Tone.LFO(VIBRATO_RATE, -1, 1).connect(vibratoDepth).start();
+    
+    // Tempo and meter live on the new context's transport
+    applyTransportSettings();
+    
     // Create melody synth
     melodySynth = createMelodySynth();
     
@@ -68,95 +146,157 @@ export function setupAudio() {
   }
 }
 
+/**
+ * Get the master output node
+ * @returns {Object|null} Tone.Gain carrying the final mix (null before audio starts)
+ */
+export function getMasterOutput() {
+  return masterOutput || null;
+}
+
+/**
+ * Create the instrument a preset describes (sampler or subtractive synth)
+ * @param {Object} preset - Normalized preset
+ * @param {string} name - Preset name
+ * @param {number} polyphony - Voices for synth presets
+ * @returns {Object} Synth with the patch synth interface
+ */
+function createInstrument(preset, name, polyphony) {
+  if (preset.type === 'sampler') {
+    return createSamplerSynth(preset, name);
+  }
+  return createPatchSynth(preset, { polyphony });
+}
+
 /**
  * Create a new melody synth with current sound settings
  */
 function createMelodySynth() {
-  const preset = soundPresets[state.selectedSound];
-  
-  const synth = new Tone.Synth({
-    oscillator: {
-      type: preset.oscillator.type,
-      modulationType: "sine",
-      harmonicity: 1
-    },
-    envelope: {
-      attack: preset.envelope.attack,
-      decay: preset.envelope.decay,
-      sustain: preset.envelope.sustain,
-      release: preset.envelope.release,
-    },
-    portamento: 0.02
-  });
-  
-  synth.connect(filter);
+  const preset = getPreset(state.melodySound);
+  melodySynthSound = state.melodySound;
+  
+  const synth = createInstrument(preset, state.melodySound, getMelodyPolyphony());
+  
+  synth.connect(panners.melody);
   synth.volume.value = -10;
+  connectMelodyModulation(synth);
   
   return synth;
 }
 
+/**
+ * Get the number of melody voices for the current play mode
+ * @returns {number} 1 for single notes (so presets can glide), more when fingers play
+ */
+function getMelodyPolyphony() {
+  return state.melodyFingers ? FINGER_POLYPHONY : 1;
+}
+
+/**
+ * Route the hand bend and vibrato into a new melody synth
+ * @param {Object} synth - Melody synth
+ */
+function connectMelodyModulation(synth) {
+  vibratoDepth.disconnect();
+  vibratoDepth.connect(synth.detune);
+  synth.detune.value = melodyBend;
+}
+
+/**
+ * Adapt a preset for chord playing
+ * Chords get a slightly softer attack and longer tail than the melody
+ * @param {Object} preset - Normalized preset
+ * @returns {Object} Preset for the harmony synth
+ */
+function toHarmonyPreset(preset) {
+  return {
+    ...preset,
+    envelope: {
+      ...preset.envelope,
+      attack: preset.envelope.attack * 1.2,
+      release: preset.envelope.release * 1.5
+    }
+  };
+}
+
 /**
  * Create a new harmony synth with current sound settings
  */
 function createHarmonySynth() {
-  const preset = soundPresets[state.selectedSound];
-  
-  const synth = new Tone.PolySynth({
-    maxPolyphony: 6,
-    voice: Tone.Synth,
-    options: {
-      oscillator: {
-        type: preset.oscillator.type,
-        modulationType: "sine",
-        harmonicity: 1
-      },
-      envelope: {
-        attack: preset.envelope.attack * 1.2,
-        decay: preset.envelope.decay,
-        sustain: preset.envelope.sustain,
-        release: preset.envelope.release * 1.5,
-      },
-      portamento: 0.02
-    }
-  });
+  const preset = getPreset(state.harmonySound);
+  harmonySynthSound = state.harmonySound;
+  
+  const synth = createInstrument(toHarmonyPreset(preset), state.harmonySound, HARMONY_POLYPHONY);
   
-  synth.connect(filter);
+  synth.connect(panners.harmony);
   synth.volume.value = -14;
   
   return synth;
 }
 
+/**
+ * Create a synth that plays back a recorded part (used by the looper)
+ * It uses the part's current preset and level and feeds the same bus as the live synths
+ * @param {string} part - 'melody' or 'harmony'
+ * @returns {Object} Synth with the patch synth interface (the caller disposes it)
+ */
+export function createPlaybackSynth(part) {
+  const liveSynth = part === 'melody' ? melodySynth : harmonySynth;
+  const synth = part === 'melody'
+    ? createInstrument(getPreset(state.melodySound), state.melodySound, PLAYBACK_MELODY_POLYPHONY)
+    : createInstrument(toHarmonyPreset(getPreset(state.harmonySound)), state.harmonySound, HARMONY_POLYPHONY);
+  
+  synth.connect(synthBus);
+  synth.volume.value = liveSynth ? liveSynth.volume.value : (part === 'melody' ? -10 : -14);
+  
+  return synth;
+}
+
 /**
  * Update synths when sound selection changes
+ * Only the synth whose preset differs from the selected one is rebuilt
  */
 export function updateSynths() {
   try {
-    // Stop all current sounds first
-    if (melodySynth) melodySynth.triggerRelease();
-    if (harmonySynth) harmonySynth.releaseAll();
+    const melodyChanged = !!melodySynth && melodySynthSound !== state.melodySound;
+    const harmonyChanged = !!harmonySynth && harmonySynthSound !== state.harmonySound;
+    if (!melodyChanged && !harmonyChanged) return;
+    
+    // Stop the sounds that are about to be replaced
+    if (melodyChanged) melodySynth.releaseAll();
+    if (harmonyChanged) harmonySynth.releaseAll();
     
     // Wait for release to complete
     setTimeout(() => {
-      // Dispose old synths if they exist
-      if (melodySynth) melodySynth.dispose();
-      if (harmonySynth) harmonySynth.dispose();
-      
-      // Create new synths
-      melodySynth = createMelodySynth();
-      harmonySynth = createHarmonySynth();
-      
-      // Restore volumes
-      if (melodySynth) melodySynth.volume.value = Tone.gainToDb(state.rightHandVolume);
-      if (harmonySynth) harmonySynth.volume.value = Tone.gainToDb(state.leftHandVolume * 0.6);
-      
-      // Reset playing states
-      state.rightHandIsPlaying = false;
-      state.leftHandIsPlaying = false;
-      state.currentMelodyNote = null;
-      state.currentChord = null;
-      
-      updateNoteDisplay();
-      showMessage(`Switched sound to ${state.selectedSound}`);
+      try {
+        if (melodyChanged) {
+          melodySynth.dispose();
+          melodySynth = createMelodySynth();
+          melodySynth.volume.value = Tone.gainToDb(state.rightHandVolume);
+          
+          emitAllNotesOff('melody');
+          state.rightHandIsPlaying = false;
+          state.currentMelodyNote = null;
+          state.currentMelodyNotes = [];
+          showMessage(`Switched melody sound to ${state.melodySound}`);
+        }
+        
+        if (harmonyChanged) {
+          harmonySynth.dispose();
+          harmonySynth = createHarmonySynth();
+          harmonySynth.volume.value = Tone.gainToDb(state.leftHandVolume * 0.6);
+          
+          emitAllNotesOff('harmony');
+          state.leftHandIsPlaying = false;
+          state.currentChord = null;
+          showMessage(`Switched chord sound to ${state.harmonySound}`);
+        }
+        
+        updateNoteDisplay();
+      } catch (error) {
+        console.error("Error rebuilding synths:", error);
+        showMessage("Error switching sounds: " + error.message, 3000);
+      }
     }, 100);
   } catch (error) {
     console.error("Error updating synths:", error);
@@ -164,12 +304,135 @@ export function updateSynths() {
   }
 }
 
+/**
+ * Apply preset values to a running synth (used by the preset editor)
+ * Falls back to rebuilding the synth if the preset changes its node layout
+ * @param {string} part - 'melody' or 'harmony'
+ * @param {Object} preset - Preset in the schema described in config.js
+ */
+export function applyPreset(part, preset) {
+  if (!state.audioStarted) return;
+  
+  try {
+    if (part === 'melody' && melodySynth) {
+      if (!melodySynth.set(preset)) {
+        const volume = melodySynth.volume.value;
+        melodySynth.dispose();
+        melodySynth = createInstrument(preset, state.melodySound, getMelodyPolyphony());
+        melodySynth.connect(panners.melody);
+        connectMelodyModulation(melodySynth);
+        melodySynth.volume.value = volume;
+        emitAllNotesOff('melody');
+        state.rightHandIsPlaying = false;
+        state.currentMelodyNote = null;
+        state.currentMelodyNotes = [];
+      }
+    } else if (part === 'harmony' && harmonySynth) {
+      const harmonyPreset = toHarmonyPreset(preset);
+      if (!harmonySynth.set(harmonyPreset)) {
+        const volume = harmonySynth.volume.value;
+        harmonySynth.dispose();
+        harmonySynth = createInstrument(harmonyPreset, state.harmonySound, HARMONY_POLYPHONY);
+        harmonySynth.connect(panners.harmony);
+        harmonySynth.volume.value = volume;
+        emitAllNotesOff('harmony');
+        state.leftHandIsPlaying = false;
+        state.currentChord = null;
+      }
+    }
+  } catch (error) {
+    console.error("Error applying preset:", error);
+  }
+}
+
+/**
+ * Send note ons to MIDI output, the MIDI recorder and the looper
+ * @param {string} part - 'melody' or 'harmony'
+ * @param {string|Array} notes - Note name(s)
+ * @param {number} velocity - Velocity (0.0 to 1.0)
+ */
+function emitNoteOn(part, notes, velocity) {
+  sendNoteOn(part, notes, velocity);
+  recordNoteOn(part, notes, velocity);
+  loopNoteOn(part, notes, velocity);
+}
+
+/**
+ * Send note offs to MIDI output, the MIDI recorder and the looper
+ * @param {string} part - 'melody' or 'harmony'
+ * @param {string|Array} notes - Note name(s)
+ */
+function emitNoteOff(part, notes) {
+  sendNoteOff(part, notes);
+  recordNoteOff(part, notes);
+  loopNoteOff(part, notes);
+}
+
+/**
+ * Release every held note of a part in MIDI output, the MIDI recorder and the looper
+ * @param {string} part - 'melody' or 'harmony'
+ */
+function emitAllNotesOff(part) {
+  releaseMidiNotes(part);
+  recordAllNotesOff(part);
+  loopAllNotesOff(part);
+}
+
+/**
+ * Send a control change to MIDI output and the MIDI recorder (the looper records notes only)
+ * @param {string} part - 'melody' or 'harmony'
+ * @param {number} controller - Controller number
+ * @param {number} value - Value (0.0 to 1.0)
+ */
+function emitControlChange(part, controller, value) {
+  sendControlChange(part, controller, value);
+  recordControlChange(part, controller, value);
+}
+
+/**
+ * Send and record a pitch bend
+ * @param {string} part - 'melody' or 'harmony'
+ * @param {number} amount - Bend from -1.0 to 1.0
+ */
+function emitPitchBend(part, amount) {
+  sendPitchBend(part, amount);
+  recordPitchBend(part, amount);
+}
+
+/**
+ * Run a MIDI/recorder/looper emission when a scheduled note sounds
+ * Emissions for notes played right away happen immediately, as they always have.
+ * Later ones use a timer rather than Tone.Draw, which drops callbacks that run late:
+ * a stalled frame or hidden tab must never lose a note-off
+ * @param {number} time - Audio context time the note is scheduled at
+ * @param {Function} callback - Emission to run
+ */
+function emitAt(time, callback) {
+  const delay = time - Tone.now();
+  if (delay < 0.01) {
+    callback();
+  } else {
+    setTimeout(callback, delay * 1000);
+  }
+}
+
+/**
+ * Get when a gesture-triggered note should start
+ * With quantization on, note and chord changes snap to the transport grid
+ * @param {number} time - Unquantized start time
+ * @returns {number} Audio context time
+ */
+function getTriggerTime(time) {
+  return state.quantize === 'off' ? time : quantizeTime(time, state.quantize);
+}
+
 /**
  * Play a melody note
  * @param {string} note - Note name with octave (e.g., "C4")
+ * @param {number} velocity - Velocity (0.0 to 1.0); fixed accents are used when omitted
  */
-export function playMelodyNote(note) {
-  if (!state.audioStarted || !melodySynth) return;
+export function playMelodyNote(note, velocity) {
+  if (!state.audioStarted || !melodySynth || state.countingIn) return;
   
   // Check if the note has actually changed
   const noteChanged = note !== state.lastMelodyNote;
@@ -178,9 +441,14 @@ export function playMelodyNote(note) {
   try {
     if (!state.rightHandIsPlaying) {
       // First time playing a note
-      melodySynth.triggerAttack(note, Tone.now(), 0.8);
+      const time = getTriggerTime(Tone.now());
+      melodyTriggerTime = time;
+      const attackVelocity = velocity === undefined ? 0.8 : velocity;
+      melodySynth.triggerAttack(tuneNote(note), time, attackVelocity);
+      emitAt(time, () => emitNoteOn('melody', note, attackVelocity));
       state.rightHandIsPlaying = true;
       state.currentMelodyNote = note;
+      state.currentMelodyNotes = [note];
       
       // Trigger black hole animation effect for new note
       pulseBlackHole(1.0);
@@ -190,12 +458,23 @@ export function playMelodyNote(note) {
       // Use proper scheduled timing for clean note transitions
       const now = Tone.now();
       
-      // Release the current note with a precise timestamp
-      melodySynth.triggerRelease(now + 0.02);
+      // Schedule the attack of the new note with a slight delay (or on the grid)
+      const attackTime = getTriggerTime(now + 0.07);
+      melodyTriggerTime = attackTime;
+      
+      // Release the current note with a precise timestamp just before it
+      const attackVelocity = velocity === undefined ? 0.7 : velocity;
+      melodySynth.releaseAll(Math.max(now, attackTime - 0.05));
+      melodySynth.triggerAttack(tuneNote(note), attackTime, attackVelocity);
       
-      // Schedule the attack of the new note with a slight delay
-      melodySynth.triggerAttack(note, now + 0.07, 0.7);
+      // MIDI: hand the note over when it sounds (legato for the receiving synth)
+      const previousNote = state.currentMelodyNote;
+      emitAt(attackTime, () => {
+        emitNoteOn('melody', note, attackVelocity);
+        emitNoteOff('melody', previousNote);
+      });
       state.currentMelodyNote = note;
+      state.currentMelodyNotes = [note];
       
       // Trigger black hole animation effect for note change
       pulseBlackHole(0.8);
@@ -207,12 +486,78 @@ export function playMelodyNote(note) {
   }
 }
 
+/**
+ * Play several melody notes at once (one per extended finger)
+ * Notes that stay keep sustaining; only the fingers that changed are released or attacked
+ * @param {Array<string>} notes - Note names, at least one
+ * @param {number} velocity - Velocity of the new notes (0.0 to 1.0)
+ */
+export function playMelodyNotes(notes, velocity = 0.7) {
+  if (!state.audioStarted || !melodySynth || state.countingIn) return;
+  
+  const previousNotes = state.rightHandIsPlaying ? state.currentMelodyNotes : [];
+  const entering = notes.filter(note => !previousNotes.includes(note));
+  const leaving = previousNotes.filter(note => !notes.includes(note));
+  if (state.rightHandIsPlaying && entering.length === 0 && leaving.length === 0) return;
+  
+  try {
+    const time = getTriggerTime(Tone.now());
+    melodyTriggerTime = time;
+    melodySynth.setNotes(tuneNotes(notes), time, velocity);
+    emitAt(time, () => {
+      emitNoteOff('melody', leaving);
+      emitNoteOn('melody', entering, velocity);
+    });
+    
+    if (entering.length > 0) pulseBlackHole(state.rightHandIsPlaying ? 0.6 : 1.0);
+    
+    state.rightHandIsPlaying = true;
+    state.currentMelodyNote = notes[0];
+    state.currentMelodyNotes = notes.slice();
+    state.lastMelodyNote = null;
+    
+    updateNoteDisplay();
+  } catch (error) {
+    console.error("Error playing melody notes:", error);
+  }
+}
+
+/**
+ * Switch a hand between its usual play mode and one note per extended finger
+ * The melody synth is rebuilt with enough voices for the new mode
+ * @param {string} part - 'melody' or 'harmony'
+ * @param {boolean} enabled - True to play one note per finger
+ */
+export function setFingerMode(part, enabled) {
+  if (part === 'harmony') {
+    stopChord();
+    state.chordFingers = enabled;
+    return;
+  }
+  
+  if (state.melodyFingers === enabled) return;
+  stopMelody();
+  state.melodyFingers = enabled;
+  
+  if (!melodySynth) return;
+  
+  try {
+    const volume = melodySynth.volume.value;
+    melodySynth.dispose();
+    melodySynth = createMelodySynth();
+    melodySynth.volume.value = volume;
+  } catch (error) {
+    console.error("Error switching finger mode:", error);
+  }
+}
+
 /**
  * Play a chord
  * @param {Object} chord - Chord object with root, type, notes and name
+ * @param {number} velocity - Velocity of the chord's new notes (0.0 to 1.0)
  */
-export function playChord(chord) {
-  if (!state.audioStarted || !harmonySynth) return;
+export function playChord(chord, velocity = 0.6) {
+  if (!state.audioStarted || !harmonySynth || state.countingIn) return;
   
   // Check if the chord has actually changed by comparing note arrays
   const chordChanged = !state.lastChord || 
@@ -221,7 +566,14 @@ export function playChord(chord) {
   try {
     if (!state.leftHandIsPlaying) {
       // First-time playing
-      harmonySynth.triggerAttack(chord.notes, Tone.now(), 0.6);
+      if (state.arpEnabled) {
+        startArpeggiator(chord.notes, playArpStep, velocity);
+      } else {
+        const time = getTriggerTime(Tone.now());
+        harmonyTriggerTime = time;
+        harmonySynth.triggerAttack(tuneNotes(chord.notes), time, velocity);
+        emitAt(time, () => emitNoteOn('harmony', chord.notes, velocity));
+      }
       state.leftHandIsPlaying = true;
       state.currentChord = chord;
       state.lastChord = {...chord}; // Make a copy to prevent reference issues
@@ -231,37 +583,29 @@ export function playChord(chord) {
       
       console.log("Started playing chord:", chord.name, chord.notes);
     } else if (chordChanged) {
-      // CRITICAL FIX: Using proper sequence to eliminate distortion
-      
-      // 1. Release all current notes with a slight future timestamp to ensure clean release
-      harmonySynth.releaseAll(Tone.now() - 0.005);
-      
-      // 2. Wait a moment for the release to complete
-      setTimeout(() => {
-        // 3. Completely dispose of the old synth to clear any lingering audio problems
-        harmonySynth.dispose();
-        
-        // 4. Create a fresh instance with the same settings
-        harmonySynth = createHarmonySynth();
-        
-        // 5. Set volume
-        harmonySynth.volume.value = Tone.gainToDb(state.leftHandVolume * 0.6);
+      if (state.arpEnabled) {
+        // The pattern picks up the new notes on its next step
+        setArpeggiatorNotes(chord.notes, velocity);
+      } else {
+        // Move voice by voice: shared tones keep sustaining, only the
+        // notes leaving the chord are released and only new ones attacked
+        const time = getTriggerTime(Tone.now());
+        harmonyTriggerTime = time;
+        harmonySynth.setNotes(tuneNotes(chord.notes), time, velocity);
         
-        // 6. Play the new chord with a short delay to ensure clean start
-        setTimeout(() => {
-          // Using a precise scheduled time with Tone.js for better timing
-          const startTime = Tone.now() + 0.05;
-          harmonySynth.triggerAttack(chord.notes, startTime, 0.6);
-          state.currentChord = chord;
-          state.lastChord = {...chord}; // Make a copy
-          state.leftHandIsPlaying = true;
-          
-          // Trigger black hole animation effects for chord change
-          const pulseIntensity = chord.type.includes('7') ? 1.0 : 
-                              chord.type === 'diminished' ? 1.2 : 0.8;
-          pulseBlackHole(pulseIntensity);
-        }, 50);
-      }, 150);
+        const previousNotes = state.lastChord ? state.lastChord.notes : [];
+        emitAt(time, () => {
+          emitNoteOff('harmony', previousNotes.filter(note => !chord.notes.includes(note)));
+          emitNoteOn('harmony', chord.notes.filter(note => !previousNotes.includes(note)), velocity);
+        });
+      }
+      state.currentChord = chord;
+      state.lastChord = {...chord}; // Make a copy
+      
+      // Trigger black hole animation effects for chord change
+      const pulseIntensity = chord.type.includes('7') ? 1.0 : 
+                          chord.type === 'diminished' ? 1.2 : 0.8;
+      pulseBlackHole(pulseIntensity);
     }
     
     updateNoteDisplay();
@@ -270,14 +614,108 @@ export function playChord(chord) {
   }
 }
 
+/**
+ * Play one arpeggiator step on the harmony synth
+ * MIDI, the MIDI recorder and the looper hear the step when it sounds, not when it is scheduled
+ * @param {string} note - Note name
+ * @param {number} duration - Gate time in seconds
+ * @param {number} time - Audio context time of the step
+ * @param {number} velocity - Velocity (0.0 to 1.0)
+ */
+function playArpStep(note, duration, time, velocity) {
+  if (!harmonySynth) return;
+  
+  const tuned = tuneNote(note);
+  harmonySynth.triggerAttack(tuned, time, velocity);
+  harmonySynth.triggerRelease(tuned, time + duration);
+  
+  emitAt(time, () => emitNoteOn('harmony', note, velocity));
+  emitAt(time + duration, () => emitNoteOff('harmony', note));
+}
+
+/**
+ * Switch the chord hand between sustained chords and the arpeggiator
+ * A chord that is playing carries over to the new mode
+ * @param {boolean} enabled - True to arpeggiate
+ */
+export function setArpeggiatorEnabled(enabled) {
+  if (state.arpEnabled === enabled) return;
+  state.arpEnabled = enabled;
+  
+  if (!state.leftHandIsPlaying || !harmonySynth || !state.currentChord) return;
+  
+  const chordNotes = state.currentChord.notes;
+  if (enabled) {
+    harmonySynth.releaseAll(Tone.now());
+    emitAllNotesOff('harmony');
+    startArpeggiator(chordNotes, playArpStep);
+  } else {
+    stopArpeggiator();
+    harmonySynth.triggerAttack(tuneNotes(chordNotes), Tone.now(), 0.6);
+    emitNoteOn('harmony', chordNotes, 0.6);
+  }
+}
+
+/**
+ * Play a continuous melody pitch (theremin mode)
+ * The sounding voice glides to each new pitch instead of retriggering;
+ * MIDI, recording and the looper follow the nearest note
+ * @param {Object} pitch - { frequency, note, cents } from getPitchFromPosition()
+ * @param {number} velocity - Velocity of the first attack (0.0 to 1.0)
+ */
+export function playMelodyPitch(pitch, velocity = 0.8) {
+  if (!state.audioStarted || !melodySynth || state.countingIn) return;
+  
+  // Switching back to stepped mode should retrigger even on the same note
+  state.lastMelodyNote = null;
+  
+  try {
+    if (!state.rightHandIsPlaying) {
+      const time = getTriggerTime(Tone.now());
+      melodyTriggerTime = time;
+      melodySynth.triggerAttack(pitch.frequency, time, velocity);
+      emitAt(time, () => emitNoteOn('melody', pitch.note, velocity));
+      state.rightHandIsPlaying = true;
+      state.currentMelodyNote = pitch.note;
+      state.currentMelodyNotes = [pitch.note];
+      
+      pulseBlackHole(1.0);
+    } else {
+      // Glide from just after a quantized attack that has not sounded yet
+      const time = Math.max(Tone.now(), melodyTriggerTime + 0.01);
+      melodySynth.glideTo(pitch.frequency, time, state.melodyGlide);
+      
+      if (pitch.note !== state.currentMelodyNote) {
+        const previousNote = state.currentMelodyNote;
+        emitAt(time, () => {
+          emitNoteOn('melody', pitch.note, 0.7);
+          emitNoteOff('melody', previousNote);
+        });
+        state.currentMelodyNote = pitch.note;
+        state.currentMelodyNotes = [pitch.note];
+        pulseBlackHole(0.4);
+      }
+    }
+    
+    state.melodyCents = pitch.cents;
+    updateNoteDisplay();
+  } catch (error) {
+    console.error("Error playing melody pitch:", error);
+  }
+}
+
 /**
  * Stop playing melody
  */
 export function stopMelody() {
   if (state.rightHandIsPlaying && melodySynth) {
-    melodySynth.triggerRelease();
+    // Let a quantized attack that has not sounded yet start before releasing it
+    const time = Math.max(Tone.now(), melodyTriggerTime + 0.01);
+    melodySynth.releaseAll(time);
+    emitAt(time, () => emitAllNotesOff('melody'));
     state.rightHandIsPlaying = false;
     state.currentMelodyNote = null;
+    state.currentMelodyNotes = [];
     updateNoteDisplay();
     console.log("Stopped melody");
   }
@@ -288,20 +726,16 @@ export function stopMelody() {
  */
 export function stopChord() {
   if (state.leftHandIsPlaying && harmonySynth) {
-    // Use releaseAll instead of triggerRelease for PolySynth
-    harmonySynth.releaseAll();
+    stopArpeggiator();
     
-    // More aggressive approach to ensure sound stops
-    setTimeout(() => {
-      // If sound is still playing, rebuild the synth
-      if (state.leftHandIsPlaying && harmonySynth) {
-        harmonySynth.dispose();
-        harmonySynth = createHarmonySynth();
-      }
-    }, 100);
+    // Let a quantized attack that has not sounded yet start before releasing it
+    const time = Math.max(Tone.now(), harmonyTriggerTime + 0.01);
+    harmonySynth.releaseAll(time);
+    emitAt(time, () => emitAllNotesOff('harmony'));
     
     state.leftHandIsPlaying = false;
     state.currentChord = null;
+    state.lastChord = null;
     updateNoteDisplay();
     console.log("Stopped chord");
   }
@@ -324,6 +758,7 @@ export function setVolume(hand, volume) {
         if (harmonySynth) {
           harmonySynth.volume.value = Tone.gainToDb(volume * 0.6);
         }
+        emitControlChange('harmony', CC_VOLUME, volume);
       }
     } else if (hand === 'right') {
       if (state.leftHandVolume !== volume) {
@@ -331,6 +766,7 @@ export function setVolume(hand, volume) {
         if (melodySynth) {
           melodySynth.volume.value = Tone.gainToDb(volume);
         }
+        emitControlChange('melody', CC_VOLUME, volume);
       }
     }
   } catch (error) {
@@ -350,18 +786,144 @@ export function setReverb(hand, wetLevel) {
   
   try {
     reverb.wet.value = wetLevel;
+    emitControlChange(hand === 'left' ? 'harmony' : 'melody', CC_REVERB, wetLevel);
   } catch (error) {
     console.error("Error setting reverb:", error);
   }
 }
 
+/**
+ * Apply a hand's horizontal position to whatever it is mapped to
+ * @param {string} hand - 'left' (chords) or 'right' (melody)
+ * @param {number} position - 0.0 (player's left) to 1.0 (player's right), already smoothed
+ */
+export function setHandPosition(hand, position) {
+  if (!state.audioStarted || !filter) return;
+  
+  const part = hand === 'left' ? 'harmony' : 'melody';
+  const target = part === 'melody' ? state.melodyXTarget : state.harmonyXTarget;
+  position = Math.max(0, Math.min(position, 1));
+  
+  try {
+    if (target === 'filter') {
+      filter.frequency.rampTo(MIN_CUTOFF * Math.pow(MAX_CUTOFF / MIN_CUTOFF, position), 0.05);
+      emitControlChange(part, CC_BRIGHTNESS, position);
+    } else if (target === 'pan') {
+      panners[part].pan.rampTo(position * 2 - 1, 0.05);
+      emitControlChange(part, CC_PAN, position);
+    }
+  } catch (error) {
+    console.error("Error setting hand position:", error);
+  }
+}
+
+/**
+ * Choose what a hand's horizontal position controls
+ * Whatever it controlled before goes back to its resting value
+ * @param {string} part - 'melody' or 'harmony'
+ * @param {string} target - 'filter', 'pan' or 'off'
+ */
+export function setXAxisTarget(part, target) {
+  const key = part === 'melody' ? 'melodyXTarget' : 'harmonyXTarget';
+  const previous = state[key];
+  state[key] = target;
+  
+  if (!state.audioStarted || previous === target) return;
+  
+  if (previous === 'pan') {
+    panners[part].pan.rampTo(0, 0.05);
+    emitControlChange(part, CC_PAN, 0.5);
+  } else if (previous === 'filter' && state.melodyXTarget !== 'filter' && state.harmonyXTarget !== 'filter') {
+    filter.frequency.rampTo(MAX_CUTOFF, 0.05);
+    emitControlChange(part, CC_BRIGHTNESS, 1);
+  }
+}
+
+/**
+ * Replay the sounding notes after the tuning changed
+ * Stepped notes and chords restart at their new pitch (continuous pitch and
+ * arpeggios pick it up on their own); loop layers pick it up on their next notes
+ */
+export function retuneSynths() {
+  if (!state.audioStarted) return;
+  
+  try {
+    const stepped = state.melodyMode === 'stepped' || state.melodyFingers;
+    if (melodySynth && state.rightHandIsPlaying && stepped && state.currentMelodyNotes.length > 0) {
+      melodySynth.releaseAll(Tone.now());
+      melodySynth.triggerAttack(tuneNotes(state.currentMelodyNotes), Tone.now() + 0.01, 0.7);
+    }
+    
+    if (harmonySynth && state.leftHandIsPlaying && !state.arpEnabled && state.currentChord) {
+      harmonySynth.releaseAll(Tone.now());
+      harmonySynth.triggerAttack(tuneNotes(state.currentChord.notes), Tone.now() + 0.01, 0.6);
+    }
+    
+    releaseLoopVoices();
+  } catch (error) {
+    console.error("Error retuning synths:", error);
+  }
+}
+
+/**
+ * Bend the melody and set its vibrato depth (from the melody hand's roll)
+ * MIDI gets the bend relative to state.pitchBendRange and the vibrato as the mod wheel
+ * @param {number} cents - Pitch bend in cents
+ * @param {number} vibratoCents - Vibrato depth in cents (0 = none)
+ */
+export function setMelodyBend(cents, vibratoCents = 0) {
+  if (!state.audioStarted || !melodySynth) return;
+  
+  try {
+    melodyBend = cents;
+    melodySynth.detune.rampTo(cents, 0.05);
+    vibratoDepth.gain.rampTo(vibratoCents, 0.1);
+    
+    const range = state.pitchBendRange * 100;
+    emitPitchBend('melody', range > 0 ? cents / range : 0);
+    emitControlChange('melody', CC_MODULATION, state.vibratoDepth > 0 ? vibratoCents / state.vibratoDepth : 0);
+  } catch (error) {
+    console.error("Error bending melody:", error);
+  }
+}
+
+/**
+ * Check whether the melody sound can be bent (sampled sounds cannot; MIDI still gets the bend)
+ * @returns {boolean} True if setMelodyBend() is audible on the built-in melody synth
+ */
+export function canMelodyBend() {
+  return !melodySynth || melodySynth.canBend !== false;
+}
+
+/**
+ * Mute or unmute the built-in synths (MIDI output keeps working)
+ * @param {boolean} muted - True to silence the Tone.js synths
+ */
+export function setInternalSynthsMuted(muted) {
+  state.muteInternalSynths = muted;
+  if (synthBus) synthBus.gain.rampTo(muted ? 0 : 1, 0.05);
+}
+
 export default {
   setupAudio,
+  getMasterOutput,
+  createPlaybackSynth,
   updateSynths,
+  applyPreset,
   playMelodyNote,
+  playMelodyPitch,
+  playMelodyNotes,
+  setFingerMode,
   playChord,
   stopMelody,
   stopChord,
   setVolume,
-  setReverb
+  setReverb,
+  setHandPosition,
+  setXAxisTarget,
+  retuneSynths,
+  setMelodyBend,
+  canMelodyBend,
+  setInternalSynthsMuted,
+  setArpeggiatorEnabled
 };
\ No newline at end of file
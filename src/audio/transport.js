@@ -0,0 +1,176 @@
+/**
+ * Shared transport for HandSynth
+ * Everything that plays in time (looper layers, the arpeggiator, ...) is scheduled on one
+ * Tone.js transport, which runs while at least one feature is using it.
+ * Tempo and time signature come from state.bpm and state.timeSignature.
+ */
+
+import { state } from '../config.js';
+
+// Tempo range offered to the user
+export const MIN_BPM = 40;
+export const MAX_BPM = 240;
+
+// Fraction of a grid step after a grid line that still counts as "on" it:
+// notes that arrive this late play right away instead of waiting a whole step
+const LATE_TOLERANCE = 0.25;
+
+// Features currently using the transport
+const users = new Set();
+
+/**
+ * Get the transport of the current audio context
+ * (setupAudio() replaces the context, so Tone.Transport may point at a stale one)
+ * @returns {Object} Tone.js transport
+ */
+export function getTransport() {
+  return Tone.getTransport();
+}
+
+/**
+ * Check whether the transport is running
+ * @returns {boolean} True when started
+ */
+export function isTransportRunning() {
+  return getTransport().state === 'started';
+}
+
+/**
+ * Apply the tempo, time signature and quantization from state to the transport
+ * (called once the audio context exists)
+ */
+export function applyTransportSettings() {
+  const transport = getTransport();
+  transport.bpm.value = state.bpm;
+  transport.timeSignature = state.timeSignature;
+  if (state.quantize !== 'off') acquireTransport('quantize');
+}
+
+/**
+ * Set the tempo
+ * @param {number} bpm - Beats per minute
+ */
+export function setTempo(bpm) {
+  state.bpm = Math.max(MIN_BPM, Math.min(MAX_BPM, Math.round(bpm)));
+  if (state.audioStarted) getTransport().bpm.rampTo(state.bpm, 0.1);
+}
+
+/**
+ * Set the time signature
+ * @param {Array<number>} timeSignature - [beats per bar, beat unit], e.g. [6, 8]
+ */
+export function setTimeSignature(timeSignature) {
+  state.timeSignature = timeSignature;
+  if (state.audioStarted) getTransport().timeSignature = timeSignature;
+}
+
+/**
+ * Set the quantization grid for gesture-triggered notes
+ * The transport keeps running while quantization is on, so the grid stays put
+ * @param {string} grid - 'off', '4n', '8n' or '16n'
+ */
+export function setQuantize(grid) {
+  state.quantize = grid;
+  if (!state.audioStarted) return;
+
+  if (grid === 'off') {
+    releaseTransport('quantize');
+  } else {
+    acquireTransport('quantize');
+  }
+}
+
+/**
+ * Snap a time to the nearest line of a grid on the transport
+ * Times just after a line play right away; anything else waits for the next line
+ * @param {number} time - Audio context time
+ * @param {string} subdivision - Grid in Tone.js notation (e.g. '8n')
+ * @returns {number} Quantized audio context time (unchanged if the transport is stopped)
+ */
+export function quantizeTime(time, subdivision) {
+  if (!isTransportRunning()) return time;
+
+  const gridTicks = Tone.Time(subdivision).toTicks();
+  const offset = getTransport().getTicksAtTime(time) % gridTicks;
+  if (offset <= gridTicks * LATE_TOLERANCE) return time;
+
+  return time + Tone.Ticks(gridTicks - offset).toSeconds();
+}
+
+/**
+ * Start using the transport, starting it from the beginning if it is stopped
+ * @param {string} user - Name of the feature (e.g. 'looper')
+ */
+export function acquireTransport(user) {
+  users.add(user);
+  if (!isTransportRunning()) getTransport().start(Tone.now(), 0);
+}
+
+/**
+ * Stop using the transport; it stops and rewinds once no feature uses it
+ * @param {string} user - Name passed to acquireTransport()
+ */
+export function releaseTransport(user) {
+  users.delete(user);
+  if (users.size > 0) return;
+
+  const transport = getTransport();
+  transport.stop();
+  transport.position = 0;
+}
+
+/**
+ * Check whether features other than one are using the transport
+ * @param {string} user - Name passed to acquireTransport()
+ * @returns {boolean} True if anything else depends on the transport position
+ */
+export function hasOtherTransportUsers(user) {
+  return Array.from(users).some(other => other !== user);
+}
+
+/**
+ * Jump back to the start without stopping (repeating events realign to the new position)
+ */
+export function rewindTransport() {
+  if (isTransportRunning()) getTransport().ticks = 0;
+}
+
+/**
+ * Loop the transport over its first seconds (events scheduled inside replay every pass)
+ * @param {number|null} seconds - Loop length, or null to stop looping
+ */
+export function setTransportLoop(seconds) {
+  const transport = getTransport();
+  if (seconds) {
+    transport.setLoopPoints(0, seconds);
+    transport.loop = true;
+  } else {
+    transport.loop = false;
+  }
+}
+
+/**
+ * Get the current transport position
+ * @returns {number} Seconds since the start of the (current pass of the) loop
+ */
+export function getTransportSeconds() {
+  return getTransport().seconds;
+}
+
+export default {
+  MIN_BPM,
+  MAX_BPM,
+  getTransport,
+  isTransportRunning,
+  applyTransportSettings,
+  setTempo,
+  setTimeSignature,
+  setQuantize,
+  quantizeTime,
+  acquireTransport,
+  releaseTransport,
+  hasOtherTransportUsers,
+  rewindTransport,
+  setTransportLoop,
+  getTransportSeconds
+};
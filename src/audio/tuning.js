@@ -0,0 +1,372 @@
+/**
+ * Tunings for HandSynth
+ * Built-in and Scala (.scl/.kbm) tunings that turn MIDI notes into exact frequencies
+ */
+
+import { state, notes } from '../config.js';
+
+// localStorage key for imported scales and keyboard mappings
+const STORAGE_KEY = 'handsynth_tunings';
+
+// Id of plain 12-tone equal temperament (notes go to the synths unchanged)
+export const EQUAL_TUNING = 'equal';
+
+// Built-in tunings as Scala pitches above the tonic (the last one is the period)
+// The maqam tunings retune the 12 keys so HandSynth's scales play the maqam
+const builtInTunings = {
+  equal: {
+    name: '12-TET (equal)',
+    pitches: ['100.', '200.', '300.', '400.', '500.', '600.', '700.', '800.', '900.', '1000.', '1100.', '2/1']
+  },
+  just: {
+    name: 'Just intonation (5-limit)',
+    pitches: ['16/15', '9/8', '6/5', '5/4', '4/3', '45/32', '3/2', '8/5', '5/3', '9/5', '15/8', '2/1']
+  },
+  pythagorean: {
+    name: 'Pythagorean',
+    pitches: ['256/243', '9/8', '32/27', '81/64', '4/3', '729/512', '3/2', '128/81', '27/16', '16/9', '243/128', '2/1']
+  },
+  rast: {
+    name: 'Maqam Rast',
+    hint: 'Use the major scale',
+    pitches: ['100.', '200.', '300.', '350.', '500.', '600.', '700.', '800.', '900.', '1000.', '1050.', '2/1']
+  },
+  bayati: {
+    name: 'Maqam Bayati',
+    hint: 'Use the minor scale',
+    pitches: ['100.', '150.', '300.', '400.', '500.', '600.', '700.', '800.', '900.', '1000.', '1100.', '2/1']
+  },
+  sikah: {
+    name: 'Maqam Sikah',
+    hint: 'Use the major scale',
+    pitches: ['100.', '150.', '300.', '350.', '500.', '600.', '700.', '800.', '850.', '1000.', '1050.', '2/1']
+  }
+};
+
+// Imported files: { scales: id -> { name, description, cents }, mappings: id -> keyboard mapping }
+let imported = loadImported();
+
+/**
+ * Check whether an object has an entry of its own under an id
+ * Ids like "toString" must not match inherited properties
+ * @param {Object} entries - Tunings or mappings keyed by id
+ * @param {string} id - Id to look up
+ * @returns {boolean} True if the id is one of the object's own keys
+ */
+function hasOwn(entries, id) {
+  return Object.prototype.hasOwnProperty.call(entries, id);
+}
+
+/**
+ * Read imported tunings from localStorage
+ * @returns {Object} { scales, mappings }
+ */
+function loadImported() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (stored) return { scales: {}, mappings: {}, ...JSON.parse(stored) };
+  } catch (e) {
+    console.error('Failed to parse stored tunings', e);
+    localStorage.removeItem(STORAGE_KEY);
+  }
+  return { scales: {}, mappings: {} };
+}
+
+/**
+ * Write imported tunings to localStorage
+ */
+function storeImported() {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(imported));
+}
+
+/**
+ * Get the lines of a Scala file that are not comments
+ * @param {string} text - File contents
+ * @returns {Array<string>} Lines (not trimmed, blank lines kept)
+ */
+function contentLines(text) {
+  return text.split(/\r?\n/).filter(line => !line.startsWith('!'));
+}
+
+/**
+ * Parse one Scala pitch: cents if it has a period, otherwise a ratio or whole number
+ * @param {string} line - Pitch line (anything after the first token is ignored)
+ * @returns {number} Cents above the tonic
+ */
+export function parsePitch(line) {
+  const token = line.trim().split(/\s+/)[0];
+
+  if (token.includes('.')) {
+    const cents = parseFloat(token);
+    if (!Number.isFinite(cents)) throw new Error(`Invalid pitch "${token}"`);
+    return cents;
+  }
+
+  const [numerator, denominator = '1'] = token.split('/');
+  const ratio = parseInt(numerator, 10) / parseInt(denominator, 10);
+  if (!Number.isFinite(ratio) || ratio <= 0) throw new Error(`Invalid pitch "${token}"`);
+  return 1200 * Math.log2(ratio);
+}
+
+/**
+ * Parse a Scala scale (.scl) file
+ * @param {string} text - File contents
+ * @returns {Object} { description, cents } - cents of each degree above the tonic, the last being the period
+ */
+export function parseScl(text) {
+  const lines = contentLines(text);
+  if (lines.length < 2) throw new Error('Not a Scala scale file');
+
+  const description = lines[0].trim();
+  const count = parseInt(lines[1].trim(), 10);
+  if (!Number.isInteger(count) || count < 1) throw new Error('Invalid number of notes in scale');
+
+  const pitchLines = lines.slice(2).filter(line => line.trim() !== '');
+  if (pitchLines.length < count) throw new Error(`Scale lists ${pitchLines.length} of ${count} pitches`);
+
+  return { description, cents: pitchLines.slice(0, count).map(parsePitch) };
+}
+
+/**
+ * Parse a Scala keyboard mapping (.kbm) file
+ * @param {string} text - File contents
+ * @returns {Object} { size, firstNote, lastNote, middleNote, referenceNote, referenceFrequency, octaveDegree, mapping }
+ */
+export function parseKbm(text) {
+  const values = contentLines(text).map(line => line.trim()).filter(line => line !== '')
+    .map(line => line.split(/\s+/)[0]);
+  if (values.length < 7) throw new Error('Not a Scala keyboard mapping file');
+
+  const numbers = values.slice(0, 7).map(Number);
+  if (numbers.some(value => !Number.isFinite(value))) throw new Error('Invalid keyboard mapping header');
+
+  const [size, firstNote, lastNote, middleNote, referenceNote, referenceFrequency, octaveDegree] = numbers;
+  if (size < 0 || referenceFrequency <= 0) throw new Error('Invalid keyboard mapping header');
+
+  // Missing entries and 'x' leave keys unmapped
+  const mapping = [];
+  for (let i = 0; i < size; i++) {
+    const entry = values[7 + i];
+    mapping.push(entry === undefined || entry.toLowerCase() === 'x' ? null : parseInt(entry, 10));
+  }
+
+  return { size, firstNote, lastNote, middleNote, referenceNote, referenceFrequency, octaveDegree, mapping };
+}
+
+/**
+ * Get the degrees of the selected tuning
+ * @returns {Array<number>} Cents above the tonic, the last being the period
+ */
+function getScaleCents() {
+  if (hasOwn(imported.scales, state.tuning)) return imported.scales[state.tuning].cents;
+
+  const builtIn = hasOwn(builtInTunings, state.tuning) ? builtInTunings[state.tuning] : builtInTunings[EQUAL_TUNING];
+  if (!builtIn.cents) builtIn.cents = builtIn.pitches.map(parsePitch);
+  return builtIn.cents;
+}
+
+/**
+ * Get the selected keyboard mapping
+ * Without an imported .kbm, consecutive keys play consecutive degrees from the selected root,
+ * which keeps its 12-TET pitch
+ * @returns {Object} Keyboard mapping as returned by parseKbm()
+ */
+function getKeyboardMapping() {
+  if (hasOwn(imported.mappings, state.keyboardMapping)) return imported.mappings[state.keyboardMapping];
+
+  const rootNote = 60 + notes.indexOf(state.selectedRoot);
+  return {
+    size: 0,
+    middleNote: rootNote,
+    referenceNote: rootNote,
+    referenceFrequency: 440 * Math.pow(2, (rootNote - 69) / 12),
+    octaveDegree: 0,
+    mapping: []
+  };
+}
+
+/**
+ * Get the scale degree a key plays
+ * @param {number} midi - MIDI note number
+ * @param {Object} keyboard - Keyboard mapping
+ * @param {number} scaleSize - Degrees per period
+ * @returns {number|null} Degree (may be negative or above the period), or null if unmapped
+ */
+function degreeForKey(midi, keyboard, scaleSize) {
+  const offset = midi - keyboard.middleNote;
+  if (keyboard.size === 0) return offset;
+
+  const repeats = Math.floor(offset / keyboard.size);
+  const degree = keyboard.mapping[offset - repeats * keyboard.size];
+  if (degree === null || degree === undefined) return null;
+
+  return degree + repeats * (keyboard.octaveDegree || scaleSize);
+}
+
+/**
+ * Get the cents of a scale degree above the tonic, repeating the scale every period
+ * @param {number} degree - Scale degree
+ * @param {Array<number>} cents - Scale degrees as returned by getScaleCents()
+ * @returns {number} Cents
+ */
+function centsForDegree(degree, cents) {
+  const size = cents.length;
+  const periods = Math.floor(degree / size);
+  const index = degree - periods * size;
+  return periods * cents[size - 1] + (index === 0 ? 0 : cents[index - 1]);
+}
+
+/**
+ * Get the frequency of a key in the selected tuning
+ * Unmapped keys fall back to 12-TET
+ * @param {number} midi - MIDI note number
+ * @returns {number} Frequency in Hz
+ */
+function getKeyFrequency(midi) {
+  const cents = getScaleCents();
+  const keyboard = getKeyboardMapping();
+
+  const degree = degreeForKey(midi, keyboard, cents.length);
+  if (degree === null) return 440 * Math.pow(2, (midi - 69) / 12);
+
+  const referenceDegree = degreeForKey(keyboard.referenceNote, keyboard, cents.length) || 0;
+  const interval = centsForDegree(degree, cents) - centsForDegree(referenceDegree, cents);
+  return keyboard.referenceFrequency * Math.pow(2, interval / 1200);
+}
+
+/**
+ * Get the frequency of a (possibly fractional) MIDI note in the selected tuning
+ * Fractions glide between the neighbouring keys' tuned pitches
+ * @param {number} midi - MIDI note number
+ * @returns {number} Frequency in Hz
+ */
+export function getMidiFrequency(midi) {
+  const lower = Math.floor(midi);
+  const fraction = midi - lower;
+  const lowerFrequency = getKeyFrequency(lower);
+  if (fraction === 0) return lowerFrequency;
+
+  return lowerFrequency * Math.pow(getKeyFrequency(lower + 1) / lowerFrequency, fraction);
+}
+
+/**
+ * Check whether notes can go to the synths unchanged (plain 12-TET)
+ * @returns {boolean} True for equal temperament without a keyboard mapping
+ */
+export function isEqualTemperament() {
+  return state.tuning === EQUAL_TUNING && !hasOwn(imported.mappings, state.keyboardMapping);
+}
+
+/**
+ * Convert a note for the synths: unchanged in 12-TET, an exact frequency otherwise
+ * @param {string} note - Note name (e.g., "C4")
+ * @returns {string|number} Note name or frequency in Hz
+ */
+export function tuneNote(note) {
+  if (isEqualTemperament()) return note;
+  return getKeyFrequency(Tone.Frequency(note).toMidi());
+}
+
+/**
+ * Convert several notes for the synths
+ * @param {Array<string>} noteList - Note names
+ * @returns {Array<string|number>} Note names or frequencies
+ */
+export function tuneNotes(noteList) {
+  return noteList.map(tuneNote);
+}
+
+/**
+ * List the available tunings
+ * @returns {Array<Object>} Tunings as { id, name, hint, imported }
+ */
+export function getTunings() {
+  const builtIn = Object.entries(builtInTunings)
+    .map(([id, tuning]) => ({ id, name: tuning.name, hint: tuning.hint || '', imported: false }));
+  const fromFiles = Object.entries(imported.scales)
+    .map(([id, scale]) => ({ id, name: scale.name, hint: scale.description, imported: true }));
+  return builtIn.concat(fromFiles);
+}
+
+/**
+ * List the imported keyboard mappings
+ * @returns {Array<Object>} Mappings as { id, name }
+ */
+export function getKeyboardMappings() {
+  return Object.entries(imported.mappings).map(([id, mapping]) => ({ id, name: mapping.name }));
+}
+
+/**
+ * Select a tuning
+ * @param {string} id - Tuning id from getTunings()
+ */
+export function setTuning(id) {
+  state.tuning = hasOwn(builtInTunings, id) || hasOwn(imported.scales, id) ? id : EQUAL_TUNING;
+}
+
+/**
+ * Select a keyboard mapping
+ * @param {string|null} id - Mapping id from getKeyboardMappings(), or null to follow the selected root
+ */
+export function setKeyboardMapping(id) {
+  state.keyboardMapping = id && hasOwn(imported.mappings, id) ? id : null;
+}
+
+/**
+ * Import a Scala file and select it
+ * @param {string} fileName - File name (.scl or .kbm)
+ * @param {string} text - File contents
+ * @returns {Object} { kind: 'scale' or 'mapping', id, name }
+ */
+export function importScalaFile(fileName, text) {
+  const name = fileName.replace(/\.[^.]+$/, '');
+
+  if (/\.kbm$/i.test(fileName)) {
+    const id = `kbm:${name}`;
+    imported.mappings[id] = { name, ...parseKbm(text) };
+    storeImported();
+    setKeyboardMapping(id);
+    return { kind: 'mapping', id, name };
+  }
+
+  if (/\.scl$/i.test(fileName)) {
+    const id = `scl:${name}`;
+    const { description, cents } = parseScl(text);
+    imported.scales[id] = { name, description, cents };
+    storeImported();
+    setTuning(id);
+    return { kind: 'scale', id, name };
+  }
+
+  throw new Error('Choose a .scl or .kbm file');
+}
+
+/**
+ * Delete an imported scale or keyboard mapping
+ * @param {string} id - Tuning or mapping id
+ */
+export function removeImportedTuning(id) {
+  delete imported.scales[id];
+  delete imported.mappings[id];
+  storeImported();
+
+  if (state.tuning === id) setTuning(EQUAL_TUNING);
+  if (state.keyboardMapping === id) setKeyboardMapping(null);
+}
+
+export default {
+  EQUAL_TUNING,
+  parsePitch,
+  parseScl,
+  parseKbm,
+  getMidiFrequency,
+  isEqualTemperament,
+  tuneNote,
+  tuneNotes,
+  getTunings,
+  getKeyboardMappings,
+  setTuning,
+  setKeyboardMapping,
+  importScalaFile,
+  removeImportedTuning
+};
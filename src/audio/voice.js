@@ -0,0 +1,504 @@
+/**
+ * Subtractive synth voices for HandSynth
+ * Builds playable synths from the preset schema described in config.js
+ */
+
+import { normalizeEffect, createEffectsRack } from './effects.js';
+
+// Values used for any field a preset leaves out
+const DEFAULT_OSCILLATOR = { type: 'sine', detune: 0, octave: 0, gain: 1 };
+const DEFAULT_ENVELOPE = { attack: 0.05, decay: 0.2, sustain: 0.6, release: 0.8 };
+const DEFAULT_FILTER_ENVELOPE = { attack: 0.01, decay: 0.3, sustain: 1, release: 0.8, octaves: 0 };
+const DEFAULT_FILTER = { type: 'lowpass', frequency: 18000, Q: 0.5, rolloff: -12 };
+const DEFAULT_LFO = { target: 'pitch', type: 'sine', frequency: 5, depth: 0 };
+
+// Allowed ranges of numeric fields as [min, max]: values outside are clamped, and anything
+// that is not a number gets the default, so a hand-edited or imported preset can't break a synth
+const OSCILLATOR_RANGES = { detune: [-2400, 2400], octave: [-4, 4], gain: [0, 2] };
+const ENVELOPE_RANGES = { attack: [0, 20], decay: [0.001, 20], sustain: [0, 1], release: [0.001, 20] };
+const FILTER_RANGES = { frequency: [20, 20000], Q: [0, 50] };
+const FILTER_ENVELOPE_RANGES = { ...ENVELOPE_RANGES, octaves: [0, 10] };
+const LFO_RANGES = { frequency: [0, 50], depth: [0, 20000] };
+
+// Allowed values of the other fields (the first is the fallback)
+const OSCILLATOR_TYPE = /^(fat|fm|am)?(sine|triangle|square|sawtooth)\d*$/;
+const FILTER_TYPES = ['lowpass', 'highpass', 'bandpass', 'notch', 'lowshelf', 'highshelf', 'peaking', 'allpass'];
+const FILTER_ROLLOFFS = [-12, -24, -48, -96];
+const LFO_TARGETS = ['pitch', 'filter', 'amplitude'];
+const LFO_TYPES = ['sine', 'triangle', 'square', 'sawtooth'];
+
+// Extra time after a release tail before a silent voice's oscillators are stopped (seconds)
+const STOP_MARGIN = 0.1;
+
+/**
+ * Get a numeric field within its range
+ * @param {*} value - Value from the preset
+ * @param {number} fallback - Value used if it is not a finite number
+ * @param {Array<number>} range - [min, max]
+ * @returns {number} The value, clamped to the range
+ */
+function toNumberIn(value, fallback, [min, max]) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return fallback;
+  return Math.max(min, Math.min(value, max));
+}
+
+/**
+ * Fill in a group of fields over its defaults and keep its numbers in range
+ * @param {Object} values - Fields from the preset (may be missing)
+ * @param {Object} defaults - Default fields
+ * @param {Object} ranges - Field name -> [min, max]
+ * @returns {Object} A complete copy of the group
+ */
+function normalizeFields(values, defaults, ranges) {
+  const fields = { ...defaults };
+  Object.entries(defaults).forEach(([name, fallback]) => {
+    const value = values && typeof values === 'object' ? values[name] : undefined;
+    fields[name] = ranges[name] ? toNumberIn(value, fallback, ranges[name]) : (value === undefined ? fallback : value);
+  });
+  return fields;
+}
+
+/**
+ * Pick a value from a list of allowed values
+ * @param {*} value - Value from the preset
+ * @param {Array} allowed - Allowed values
+ * @param {*} fallback - Value used if it is not allowed
+ * @returns {*} The value or the fallback
+ */
+function oneOf(value, allowed, fallback) {
+  return allowed.includes(value) ? value : fallback;
+}
+
+/**
+ * Fill in missing preset fields with their defaults
+ * Numbers are clamped to a usable range and unknown types replaced, so presets from
+ * files or localStorage can always be played
+ * @param {Object} preset - Preset in the schema described in config.js
+ * @returns {Object} A complete copy of the preset
+ */
+export function normalizePreset(preset = {}) {
+  if (!preset || typeof preset !== 'object') preset = {};
+  const oscillators = (Array.isArray(preset.oscillators) && preset.oscillators.length > 0)
+    ? preset.oscillators
+    : [{}];
+  const filter = preset.filter && typeof preset.filter === 'object' ? preset.filter : {};
+
+  return {
+    type: preset.type === 'sampler' ? 'sampler' : 'synth',
+    samples: preset.samples && typeof preset.samples === 'object' ? preset.samples : null,
+    oscillators: oscillators.map(osc => {
+      const spec = normalizeFields(osc, DEFAULT_OSCILLATOR, OSCILLATOR_RANGES);
+      spec.type = typeof spec.type === 'string' && OSCILLATOR_TYPE.test(spec.type) ? spec.type : DEFAULT_OSCILLATOR.type;
+      spec.octave = Math.round(spec.octave);
+      return spec;
+    }),
+    envelope: normalizeFields(preset.envelope, DEFAULT_ENVELOPE, ENVELOPE_RANGES),
+    filter: {
+      ...normalizeFields(filter, DEFAULT_FILTER, FILTER_RANGES),
+      type: oneOf(filter.type, FILTER_TYPES, DEFAULT_FILTER.type),
+      rolloff: oneOf(filter.rolloff, FILTER_ROLLOFFS, DEFAULT_FILTER.rolloff),
+      envelope: normalizeFields(filter.envelope, DEFAULT_FILTER_ENVELOPE, FILTER_ENVELOPE_RANGES)
+    },
+    lfos: (Array.isArray(preset.lfos) ? preset.lfos : []).map(lfo => ({
+      ...normalizeFields(lfo, DEFAULT_LFO, LFO_RANGES),
+      target: oneOf(lfo && lfo.target, LFO_TARGETS, DEFAULT_LFO.target),
+      type: oneOf(lfo && lfo.type, LFO_TYPES, DEFAULT_LFO.type)
+    })),
+    portamento: toNumberIn(preset.portamento, 0, [0, 5]),
+    gain: toNumberIn(preset.gain, 0, [-60, 12]),
+    effects: (Array.isArray(preset.effects) ? preset.effects : [])
+      .filter(slot => slot && typeof slot === 'object')
+      .map(normalizeEffect)
+  };
+}
+
+/**
+ * Convert a note name or frequency to Hz
+ * @param {string|number} note - Note name (e.g., "C4") or frequency in Hz
+ * @returns {number} Frequency in Hz
+ */
+function toFrequency(note) {
+  return typeof note === 'number' ? note : Tone.Frequency(note).toFrequency();
+}
+
+/**
+ * Create a single voice: oscillators -> filter -> amplitude envelope
+ * @param {Object} preset - Normalized preset
+ * @param {Object} destination - Node the voice output connects to
+ * @returns {Object} Voice with its nodes and playing state
+ */
+function createVoice(preset, destination) {
+  // Every oscillator follows this signal, so a glide moves them all at once
+  const frequency = new Tone.Signal({ value: 440, units: 'frequency' });
+
+  const filter = new Tone.Filter({
+    type: preset.filter.type,
+    frequency: preset.filter.frequency,
+    Q: preset.filter.Q,
+    rolloff: preset.filter.rolloff
+  });
+
+  const filterEnvelope = new Tone.FrequencyEnvelope({
+    attack: preset.filter.envelope.attack,
+    decay: preset.filter.envelope.decay,
+    sustain: preset.filter.envelope.sustain,
+    release: preset.filter.envelope.release,
+    baseFrequency: preset.filter.frequency,
+    octaves: preset.filter.envelope.octaves
+  });
+  filterEnvelope.connect(filter.frequency);
+
+  const envelope = new Tone.AmplitudeEnvelope(preset.envelope);
+  filter.connect(envelope);
+  envelope.connect(destination);
+
+  const oscillators = preset.oscillators.map(spec => {
+    const oscillator = new Tone.Oscillator({ type: spec.type });
+
+    // Static detune is applied as a frequency ratio so the detune param stays free for modulation
+    const ratio = new Tone.Multiply(Math.pow(2, (spec.detune + spec.octave * 1200) / 1200));
+    frequency.connect(ratio);
+    ratio.connect(oscillator.frequency);
+
+    const level = new Tone.Gain(spec.gain);
+    oscillator.connect(level);
+    level.connect(filter);
+
+    return { oscillator, ratio, level };
+  });
+
+  return {
+    frequency,
+    filter,
+    filterEnvelope,
+    envelope,
+    oscillators,
+    note: null,       // Note the voice is holding (null when free)
+    running: false,   // Whether the oscillators are started (they stop once the release tail is over)
+    stopTimer: null,  // Pending check that stops the oscillators after the release
+    hasPlayed: false, // Whether there is a previous pitch to glide from
+    startedAt: 0,     // Time of the last attack, used for voice stealing
+    releasedAt: 0     // Time of the last release, so the longest-finished tail is reused first
+  };
+}
+
+/**
+ * Get the output range of an LFO for its target
+ * @param {Object} spec - Normalized LFO settings
+ * @returns {Object} { min, max }
+ */
+function lfoRange(spec) {
+  if (spec.target === 'amplitude') {
+    return { min: 1 - Math.max(0, Math.min(spec.depth, 1)), max: 1 };
+  }
+  return { min: -spec.depth, max: spec.depth };
+}
+
+/**
+ * Check whether two presets share the same node layout
+ * @param {Object} a - Normalized preset
+ * @param {Object} b - Normalized preset
+ * @returns {boolean} True if one can be applied to a synth built from the other
+ */
+function hasSameLayout(a, b) {
+  return a.type === b.type &&
+         a.oscillators.length === b.oscillators.length &&
+         a.lfos.length === b.lfos.length &&
+         a.lfos.every((lfo, i) => lfo.target === b.lfos[i].target);
+}
+
+/**
+ * Apply preset values to an existing voice
+ * @param {Object} voice - Voice created by createVoice
+ * @param {Object} preset - Normalized preset with the voice's layout
+ */
+function updateVoice(voice, preset) {
+  voice.oscillators.forEach(({ oscillator, ratio, level }, i) => {
+    const spec = preset.oscillators[i];
+    oscillator.type = spec.type;
+    ratio.factor.value = Math.pow(2, (spec.detune + spec.octave * 1200) / 1200);
+    level.gain.value = spec.gain;
+  });
+
+  voice.envelope.set(preset.envelope);
+
+  voice.filter.type = preset.filter.type;
+  voice.filter.Q.value = preset.filter.Q;
+  voice.filter.rolloff = preset.filter.rolloff;
+
+  const { octaves, ...filterEnvelope } = preset.filter.envelope;
+  voice.filterEnvelope.set(filterEnvelope);
+  voice.filterEnvelope.baseFrequency = preset.filter.frequency;
+  voice.filterEnvelope.octaves = octaves;
+}
+
+/**
+ * Dispose all nodes of a voice
+ * @param {Object} voice - Voice created by createVoice
+ */
+function disposeVoice(voice) {
+  clearTimeout(voice.stopTimer);
+  voice.oscillators.forEach(({ oscillator, ratio, level }) => {
+    oscillator.stop();
+    oscillator.dispose();
+    ratio.dispose();
+    level.dispose();
+  });
+  voice.frequency.dispose();
+  voice.filterEnvelope.dispose();
+  voice.filter.dispose();
+  voice.envelope.dispose();
+}
+
+/**
+ * Create a synth that plays a preset with a fixed number of voices
+ * @param {Object} preset - Preset in the schema described in config.js
+ * @param {Object} options - { polyphony } (1 = monophonic)
+ * @returns {Object} Synth with triggerAttack, triggerRelease, releaseAll, setNotes, set, volume, detune, canBend, connect and dispose
+ */
+export function createPatchSynth(preset, { polyphony = 1 } = {}) {
+  let patch = normalizePreset(preset);
+
+  // Voices -> tremolo -> preset gain -> effects rack -> hand volume
+  const bus = new Tone.Gain(1);
+  const tremolo = new Tone.Gain(1);
+  const level = new Tone.Volume(patch.gain);
+  const rack = createEffectsRack(patch.effects);
+  const output = new Tone.Volume(0);
+  bus.chain(tremolo, level, rack.input);
+  rack.output.connect(output);
+
+  // Pitch offset in cents shared by every oscillator (used for pitch bend)
+  const detune = new Tone.Signal({ value: 0, units: 'cents' });
+
+  const voices = [];
+  for (let i = 0; i < polyphony; i++) {
+    const voice = createVoice(patch, bus);
+    voice.oscillators.forEach(({ oscillator }) => detune.connect(oscillator.detune));
+    voices.push(voice);
+  }
+
+  // LFOs are shared by all voices
+  const lfos = patch.lfos.map(spec => {
+    const lfo = new Tone.LFO({ type: spec.type, frequency: spec.frequency, ...lfoRange(spec) });
+
+    if (spec.target === 'pitch') {
+      voices.forEach(voice => voice.oscillators.forEach(({ oscillator }) => lfo.connect(oscillator.detune)));
+    } else if (spec.target === 'filter') {
+      voices.forEach(voice => lfo.connect(voice.filter.frequency));
+    } else if (spec.target === 'amplitude') {
+      lfo.connect(tremolo.gain);
+    }
+
+    lfo.start();
+    return lfo;
+  });
+
+  /**
+   * Pick a voice for a new note: the same note, the free voice whose release
+   * started longest ago, or (if all are busy) the oldest sounding voice
+   */
+  const allocateVoice = (frequency) => {
+    const same = voices.find(voice => voice.note === frequency);
+    if (same) return same;
+
+    const free = voices.filter(voice => voice.note === null);
+    if (free.length > 0) {
+      return free.reduce((best, voice) => voice.releasedAt < best.releasedAt ? voice : best);
+    }
+
+    return voices.reduce((oldest, voice) => voice.startedAt < oldest.startedAt ? voice : oldest);
+  };
+
+  /**
+   * Start a voice's oscillators if they are stopped
+   */
+  const startVoice = (voice, time) => {
+    clearTimeout(voice.stopTimer);
+    voice.stopTimer = null;
+    if (voice.running) return;
+
+    voice.oscillators.forEach(({ oscillator }) => oscillator.start(time));
+    voice.running = true;
+  };
+
+  /**
+   * Stop a voice's oscillators once its release tail is over, unless it is played again first
+   */
+  const scheduleVoiceStop = (voice, time) => {
+    clearTimeout(voice.stopTimer);
+    const delay = time - Tone.now() + Tone.Time(voice.envelope.release).toSeconds() + STOP_MARGIN;
+
+    voice.stopTimer = setTimeout(() => {
+      voice.stopTimer = null;
+      if (voice.note !== null || !voice.running) return;
+
+      voice.oscillators.forEach(({ oscillator }) => oscillator.stop());
+      voice.running = false;
+    }, Math.max(0, delay * 1000));
+  };
+
+  /**
+   * Release a voice at a given time
+   */
+  const releaseVoice = (voice, time) => {
+    voice.envelope.triggerRelease(time);
+    voice.filterEnvelope.triggerRelease(time);
+    voice.note = null;
+    voice.releasedAt = time;
+    scheduleVoiceStop(voice, time);
+  };
+
+  const synth = {
+    volume: output.volume,
+    detune,
+    canBend: true,
+
+    /**
+     * Start one or more notes
+     * @param {string|number|Array} notes - Note name(s) or frequency(ies)
+     * @param {number} time - Audio context time
+     * @param {number} velocity - Velocity (0.0 to 1.0)
+     */
+    triggerAttack(notes, time = Tone.now(), velocity = 1) {
+      const noteList = Array.isArray(notes) ? notes : [notes];
+
+      noteList.forEach(note => {
+        const frequency = toFrequency(note);
+        const voice = allocateVoice(frequency);
+
+        if (voice.hasPlayed && patch.portamento > 0) {
+          voice.frequency.exponentialRampTo(frequency, patch.portamento, time);
+        } else {
+          voice.frequency.setValueAtTime(frequency, time);
+        }
+
+        startVoice(voice, time);
+        voice.envelope.triggerAttack(time, velocity);
+        voice.filterEnvelope.triggerAttack(time);
+        voice.note = frequency;
+        voice.hasPlayed = true;
+        voice.startedAt = time;
+      });
+
+      return synth;
+    },
+
+    /**
+     * Release one or more notes
+     * @param {string|number|Array} notes - Note name(s) or frequency(ies)
+     * @param {number} time - Audio context time
+     */
+    triggerRelease(notes, time = Tone.now()) {
+      const noteList = Array.isArray(notes) ? notes : [notes];
+
+      noteList.forEach(note => {
+        const frequency = toFrequency(note);
+        voices.filter(voice => voice.note === frequency).forEach(voice => releaseVoice(voice, time));
+      });
+
+      return synth;
+    },
+
+    /**
+     * Release every sounding voice
+     * @param {number} time - Audio context time
+     */
+    releaseAll(time = Tone.now()) {
+      voices.filter(voice => voice.note !== null).forEach(voice => releaseVoice(voice, time));
+
+      return synth;
+    },
+
+    /**
+     * Move the sounding voices to a new pitch without retriggering their envelopes
+     * @param {string|number} note - Note name or frequency
+     * @param {number} time - Audio context time
+     * @param {number} glideTime - Ramp length in seconds (0 = jump)
+     */
+    glideTo(note, time = Tone.now(), glideTime = 0) {
+      const frequency = toFrequency(note);
+
+      voices.filter(voice => voice.note !== null).forEach(voice => {
+        if (glideTime > 0) {
+          voice.frequency.exponentialRampTo(frequency, glideTime, time);
+        } else {
+          voice.frequency.setValueAtTime(frequency, time);
+        }
+        voice.note = frequency;
+      });
+
+      return synth;
+    },
+
+    /**
+     * Move from the sounding notes to a new set of notes
+     * Notes shared by both sets keep sustaining; only the difference is released or attacked
+     * @param {Array} notes - Note names or frequencies that should sound
+     * @param {number} time - Audio context time
+     * @param {number} velocity - Velocity for the new notes (0.0 to 1.0)
+     */
+    setNotes(notes, time = Tone.now(), velocity = 1) {
+      const target = notes.map(toFrequency);
+
+      voices
+        .filter(voice => voice.note !== null && !target.includes(voice.note))
+        .forEach(voice => releaseVoice(voice, time));
+
+      const sounding = voices.map(voice => voice.note);
+      const entering = target.filter(frequency => !sounding.includes(frequency));
+      if (entering.length > 0) synth.triggerAttack(entering, time, velocity);
+
+      return synth;
+    },
+
+    /**
+     * Apply new preset values without rebuilding the voices
+     * @param {Object} nextPreset - Preset in the schema described in config.js
+     * @returns {boolean} False if the preset needs a different node layout (rebuild instead)
+     */
+    set(nextPreset) {
+      const next = normalizePreset(nextPreset);
+      if (!hasSameLayout(patch, next)) return false;
+
+      voices.forEach(voice => updateVoice(voice, next));
+
+      lfos.forEach((lfo, i) => {
+        const spec = next.lfos[i];
+        const { min, max } = lfoRange(spec);
+        lfo.type = spec.type;
+        lfo.frequency.value = spec.frequency;
+        lfo.min = min;
+        lfo.max = max;
+      });
+
+      level.volume.value = next.gain;
+      rack.update(next.effects);
+      patch = next;
+      return true;
+    },
+
+    connect(destination) {
+      output.connect(destination);
+      return synth;
+    },
+
+    dispose() {
+      lfos.forEach(lfo => lfo.dispose());
+      voices.forEach(disposeVoice);
+      detune.dispose();
+      bus.dispose();
+      tremolo.dispose();
+      level.dispose();
+      rack.dispose();
+      output.dispose();
+    }
+  };
+
+  return synth;
+}
+
+export default {
+  normalizePreset,
+  createPatchSynth
+};
@@ -10,7 +10,8 @@ export const MAX_PINCH_DIST = 0.1;  // Maximum pinch distance (open hand)
 export const DEFAULT_SCALE = 'major';
 export const DEFAULT_ROOT = 'C';
 export const DEFAULT_OCTAVE = 4;
-export const DEFAULT_SOUND = 'pad';
+export const DEFAULT_MELODY_SOUND = 'pluck';
+export const DEFAULT_HARMONY_SOUND = 'pad';
 
 // Scales definition
 export const scales = {
@@ -36,27 +37,150 @@ export const chordTypes = {
   major7: [0, 4, 7, 11]
 };
 
-// Sound presets with optimized settings to reduce distortion
+/**
+ * Sound presets
+ * Sampler presets set type: 'sampler' and play recorded notes (see src/audio/sampler.js):
+ *  - samples: { baseUrl, urls: { note: file } } for packs under samples/ (piano ships with HandSynth),
+ *    or { pack } for packs dropped onto the page
+ *  - envelope: only attack and release are used
+ *  - gain and effects work as for synth presets
+ * All other presets describe a subtractive synth voice (see src/audio/voice.js):
+ *  - oscillators: mixed oscillators, each { type, detune (cents), octave, gain }
+ *  - envelope: amplitude ADSR
+ *  - filter: { type, frequency, Q, rolloff, envelope: { attack, decay, sustain, release, octaves } }
+ *  - lfos: modulators, each { target: 'pitch' | 'filter' | 'amplitude', type, frequency, depth }
+ *    (depth is in cents for pitch, Hz for filter and 0-1 for amplitude)
+ *  - portamento: glide time in seconds
+ *  - gain: voice gain in dB
+ *  - effects: effects rack slots in signal order, each { type, bypass, wet, params }
+ *    (see src/audio/effects.js for the available types and their params)
+ */
 export const soundPresets = {
   synth: {
-    oscillator: { type: 'sine' },
-    envelope: { attack: 0.05, decay: 0.2, sustain: 0.6, release: 0.8 }
+    oscillators: [
+      { type: 'sawtooth', detune: -6, gain: 0.4 },
+      { type: 'sawtooth', detune: 6, gain: 0.4 },
+      { type: 'square', octave: -1, gain: 0.2 }
+    ],
+    envelope: { attack: 0.02, decay: 0.2, sustain: 0.6, release: 0.6 },
+    filter: {
+      type: 'lowpass', frequency: 900, Q: 2, rolloff: -24,
+      envelope: { attack: 0.01, decay: 0.4, sustain: 0.3, release: 0.6, octaves: 3 }
+    },
+    lfos: [{ target: 'pitch', type: 'sine', frequency: 5, depth: 6 }],
+    portamento: 0.03,
+    gain: -6
   },
   bell: {
-    oscillator: { type: 'sine4' },
-    envelope: { attack: 0.01, decay: 0.3, sustain: 0.2, release: 1.5 }
+    oscillators: [
+      { type: 'sine', gain: 0.6 },
+      { type: 'sine', octave: 2, detune: 3, gain: 0.25 },
+      { type: 'triangle', octave: 1, detune: 702, gain: 0.15 }
+    ],
+    envelope: { attack: 0.005, decay: 1.2, sustain: 0.05, release: 1.5 },
+    filter: { type: 'lowpass', frequency: 6000, Q: 0.5, rolloff: -12 },
+    lfos: [],
+    portamento: 0,
+    gain: -4
   },
   pad: {
-    oscillator: { type: 'sine8' },
-    envelope: { attack: 0.4, decay: 0.7, sustain: 0.6, release: 2 }
+    oscillators: [
+      { type: 'sawtooth', detune: -12, gain: 0.35 },
+      { type: 'sawtooth', detune: 12, gain: 0.35 },
+      { type: 'sine', octave: -1, gain: 0.3 }
+    ],
+    envelope: { attack: 0.6, decay: 0.8, sustain: 0.7, release: 2.5 },
+    filter: {
+      type: 'lowpass', frequency: 700, Q: 1, rolloff: -24,
+      envelope: { attack: 1.2, decay: 1.5, sustain: 0.6, release: 2.5, octaves: 2 }
+    },
+    lfos: [
+      { target: 'filter', type: 'sine', frequency: 0.3, depth: 250 },
+      { target: 'amplitude', type: 'sine', frequency: 0.2, depth: 0.15 }
+    ],
+    portamento: 0,
+    gain: -8,
+    effects: [
+      { type: 'chorus', wet: 0.5, params: { frequency: 0.8, delayTime: 4, depth: 0.6 } }
+    ]
   },
   pluck: {
-    oscillator: { type: 'triangle' },
-    envelope: { attack: 0.01, decay: 0.1, sustain: 0.1, release: 0.3 }
+    oscillators: [
+      { type: 'triangle', gain: 0.6 },
+      { type: 'square', detune: 4, gain: 0.3 }
+    ],
+    envelope: { attack: 0.002, decay: 0.25, sustain: 0.05, release: 0.3 },
+    filter: {
+      type: 'lowpass', frequency: 500, Q: 3, rolloff: -24,
+      envelope: { attack: 0.001, decay: 0.15, sustain: 0, release: 0.2, octaves: 4 }
+    },
+    lfos: [],
+    portamento: 0,
+    gain: -4
   },
   piano: {
-    oscillator: { type: 'sawtooth' },
-    envelope: { attack: 0.001, decay: 0.05, sustain: 0.7, release: 0.3 }
+    type: 'sampler',
+    samples: {
+      baseUrl: 'samples/piano/',
+      urls: {
+        A1: 'A1.mp3', C2: 'C2.mp3', 'D#2': 'Ds2.mp3', 'F#2': 'Fs2.mp3',
+        A2: 'A2.mp3', C3: 'C3.mp3', 'D#3': 'Ds3.mp3', 'F#3': 'Fs3.mp3',
+        A3: 'A3.mp3', C4: 'C4.mp3', 'D#4': 'Ds4.mp3', 'F#4': 'Fs4.mp3',
+        A4: 'A4.mp3', C5: 'C5.mp3', 'D#5': 'Ds5.mp3', 'F#5': 'Fs5.mp3',
+        A5: 'A5.mp3', C6: 'C6.mp3', 'D#6': 'Ds6.mp3', 'F#6': 'Fs6.mp3',
+        A6: 'A6.mp3', C7: 'C7.mp3'
+      }
+    },
+    envelope: { attack: 0.002, release: 1.2 },
+    gain: -4
+  },
+  keys: {
+    oscillators: [
+      { type: 'triangle', gain: 0.6 },
+      { type: 'sine', octave: 1, gain: 0.2 },
+      { type: 'sawtooth', detune: 2, gain: 0.1 }
+    ],
+    envelope: { attack: 0.002, decay: 1.5, sustain: 0.2, release: 0.5 },
+    filter: {
+      type: 'lowpass', frequency: 1200, Q: 0.7, rolloff: -12,
+      envelope: { attack: 0.001, decay: 1.0, sustain: 0.2, release: 0.5, octaves: 2.5 }
+    },
+    lfos: [],
+    portamento: 0,
+    gain: -6
+  },
+  lead: {
+    oscillators: [
+      { type: 'square', gain: 0.5 },
+      { type: 'sawtooth', detune: 8, gain: 0.4 }
+    ],
+    envelope: { attack: 0.01, decay: 0.1, sustain: 0.8, release: 0.3 },
+    filter: {
+      type: 'lowpass', frequency: 1500, Q: 4, rolloff: -24,
+      envelope: { attack: 0.01, decay: 0.3, sustain: 0.5, release: 0.3, octaves: 2 }
+    },
+    lfos: [{ target: 'pitch', type: 'sine', frequency: 5.5, depth: 12 }],
+    portamento: 0.08,
+    gain: -8,
+    effects: [
+      { type: 'distortion', wet: 0.3, params: { distortion: 0.3 } },
+      { type: 'delay', wet: 0.25, params: { delayTime: 0.3, feedback: 0.3 } }
+    ]
+  },
+  strings: {
+    oscillators: [
+      { type: 'sawtooth', detune: -8, gain: 0.3 },
+      { type: 'sawtooth', detune: 0, gain: 0.3 },
+      { type: 'sawtooth', detune: 8, gain: 0.3 }
+    ],
+    envelope: { attack: 0.35, decay: 0.4, sustain: 0.8, release: 1.2 },
+    filter: { type: 'lowpass', frequency: 2500, Q: 0.7, rolloff: -24 },
+    lfos: [
+      { target: 'pitch', type: 'sine', frequency: 5, depth: 5 },
+      { target: 'filter', type: 'triangle', frequency: 0.5, depth: 300 }
+    ],
+    portamento: 0,
+    gain: -10
   }
 };
 
@@ -68,6 +192,9 @@ export const state = {
   isRightHandPresent: false,
   leftHandLandmarks: null,
   rightHandLandmarks: null,
+  dropoutHold: 120,          // Milliseconds a hand missing from tracking still counts as present (0 = off)
+  landmarkSmoothing: 0.5,    // Landmark jitter filtering strength (0 = raw tracking, 1 = smoothest)
+  zoneHysteresis: 0.2,       // How far past a note or chord zone's edge the hand must go to change it (fraction of a zone)
   
   // Debugging variables for tracking changes
   lastRightHandY: 0,
@@ -82,15 +209,70 @@ export const state = {
   selectedScale: DEFAULT_SCALE,
   selectedRoot: DEFAULT_ROOT,
   octave: DEFAULT_OCTAVE,
-  selectedSound: DEFAULT_SOUND,
+  melodySound: DEFAULT_MELODY_SOUND,   // Preset for the right hand (melody)
+  harmonySound: DEFAULT_HARMONY_SOUND, // Preset for the left hand (chords)
   
   // Audio playing states
   leftHandIsPlaying: false,
   rightHandIsPlaying: false,
   currentMelodyNote: null,
+  currentMelodyNotes: [],    // Every sounding melody note (several when fingers play)
   currentChord: null,
   leftHandVolume: 0.5,
   rightHandVolume: 0.5,
+  melodyXTarget: 'filter',   // What the melody hand's horizontal position controls: 'filter', 'pan' or 'off'
+  harmonyXTarget: 'pan',     // What the chord hand's horizontal position controls: 'filter', 'pan' or 'off'
+  velocitySensitive: true,   // Notes take their velocity from how fast the hand moves
+  velocityCurve: 1,          // Velocity curve exponent (below 1 = light touch, above 1 = heavy touch)
+  velocityMin: 0.35,         // Velocity of the slowest moves (0.0 to 1.0)
+  velocityMax: 1,            // Velocity of the fastest moves (0.0 to 1.0)
+  melodyFingers: false,      // Each extended finger of the melody hand plays its own note
+  chordFingers: false,       // Each extended finger of the chord hand plays its own note (instead of preset chords)
+  melodyLatch: 'off',        // Keep the melody sounding without the hand: 'off', 'latch' (fist releases) or 'hold' (Space)
+  chordLatch: 'off',         // Keep chords sounding without the hand: 'off', 'latch' (fist releases) or 'hold' (Space)
+  
+  // Melody pitch state
+  melodyMode: 'stepped',     // 'stepped' (scale steps) or 'continuous' (theremin-style glide)
+  scalePull: 0.5,            // Continuous mode: pull toward the nearest scale tone (0 = free, 1 = stepped)
+  melodyGlide: 0.05,         // Continuous mode: portamento in seconds
+  melodyCents: 0,            // Continuous mode: offset of the sounding pitch from the nearest note
+  pitchBendEnabled: false,   // Tilt the melody hand to bend pitch, shake it for vibrato
+  pitchBendRange: 2,         // Bend at full tilt in semitones (set the same range on MIDI receivers)
+  vibratoDepth: 50,          // Vibrato depth for the strongest shake in cents (0 = off)
+  tuning: 'equal',           // Tuning id from tuning.js (built-in or imported .scl)
+  keyboardMapping: null,     // Imported .kbm id, or null to start the tuning on the selected root
+  
+  // MIDI state
+  midiOutputId: null,        // Selected Web MIDI output port (null = off)
+  melodyMidiChannel: 1,      // MIDI channel (1-16) for the right hand
+  harmonyMidiChannel: 2,     // MIDI channel (1-16) for the left hand
+  muteInternalSynths: false, // Silence Tone.js synths and act as a MIDI controller only
+  midiInputId: null,         // Selected Web MIDI input port (null = off)
+  midiInputRole: 'harmony',  // Voice played by MIDI input ('melody' or 'harmony'); the hands skip it
+  midiInputChannel: 0,       // MIDI channel (1-16) to listen on, 0 = all
+  
+  // Transport state
+  bpm: 120,                  // Tempo in beats per minute
+  timeSignature: [4, 4],     // [beats per bar, beat unit]
+  quantize: 'off',           // Grid gesture-triggered notes snap to: 'off', '4n', '8n' or '16n'
+  metronomeEnabled: false,   // Click on every beat
+  metronomeVolume: 0.5,      // Click volume (0.0 to 1.0)
+  countInBars: 0,            // Bars counted in when audio starts (0, 1 or 2)
+  countingIn: false,         // True during a count-in (gestures wait until it ends)
+  
+  // Arpeggiator state (chord hand)
+  arpEnabled: false,         // Arpeggiate chords instead of sustaining them
+  arpPattern: 'up',          // 'up', 'down', 'upDown', 'random' or 'asPlayed'
+  arpRate: '16n',            // Step length: '8n', '8t', '16n' or '16t'
+  arpOctaves: 1,             // Octaves the pattern spans (1-4)
+  arpGate: 0.5,              // Note length as a fraction of the step (0.1-0.95)
+  
+  // Drum machine state
+  drumPattern: 0,            // Selected pattern slot
+  drumVolume: 0.7,           // Drum volume (0.0 to 1.0)
+  
+  // Looper state
+  loopRecordPart: 'melody',  // Part the looper records ('melody' or 'harmony')
   
   // UI state
   activeUIElement: null
@@ -12,6 +12,7 @@ import { showMessage } from './ui/messages.js';
 import { updateInstructions } from './ui/controls.js';
 import { initAuth, getAuthState } from './auth/auth.js';
 import { createLoginPage, addLoginStyles } from './pages/login.js';
+import { loadCalibration } from './tracking/calibration.js';
 
 // Authentication state
 let authState = { isAuthenticated: false, user: null, isLoading: true };
@@ -84,6 +85,9 @@ function renderApp() {
     loginContainer.style.display = 'none';
   }
   
+  // Load the signed-in player's hand calibration
+  loadCalibration(authState.user && authState.user.id);
+  
   // Create UI elements
   createUI();
   
@@ -0,0 +1,39 @@
+/**
+ * Web MIDI access for HandSynth
+ * Requests MIDI access once and shares it between input and output
+ */
+
+let accessPromise = null;
+
+/**
+ * Check whether the browser supports Web MIDI
+ * @returns {boolean} True if navigator.requestMIDIAccess exists
+ */
+export function isMidiSupported() {
+  return typeof navigator !== 'undefined' && typeof navigator.requestMIDIAccess === 'function';
+}
+
+/**
+ * Request MIDI access (the browser asks the user the first time)
+ * @returns {Promise<MIDIAccess>} MIDI access object
+ */
+export function getMidiAccess() {
+  if (!isMidiSupported()) {
+    return Promise.reject(new Error('Web MIDI is not supported in this browser'));
+  }
+
+  if (!accessPromise) {
+    accessPromise = navigator.requestMIDIAccess({ sysex: false }).catch(error => {
+      // Allow asking again after a refusal
+      accessPromise = null;
+      throw error;
+    });
+  }
+
+  return accessPromise;
+}
+
+export default {
+  isMidiSupported,
+  getMidiAccess
+};
@@ -0,0 +1,113 @@
+/**
+ * Standard MIDI File writer for HandSynth
+ * Encodes type-1 files: a conductor track with tempo and meter, then one track per part
+ */
+
+// Meta event types
+const META_TRACK_NAME = 0x03;
+const META_TEMPO = 0x51;
+const META_TIME_SIGNATURE = 0x58;
+const META_END_OF_TRACK = 0x2F;
+
+/**
+ * Encode a number as a MIDI variable-length quantity
+ * @param {number} value - Non-negative integer
+ * @returns {Array<number>} Bytes (7 bits each, high bit set on all but the last)
+ */
+function variableLength(value) {
+  const bytes = [value & 0x7F];
+  value >>= 7;
+  while (value > 0) {
+    bytes.unshift((value & 0x7F) | 0x80);
+    value >>= 7;
+  }
+  return bytes;
+}
+
+/**
+ * Encode a number as big-endian bytes
+ * @param {number} value - Unsigned integer
+ * @param {number} length - Number of bytes
+ * @returns {Array<number>} Bytes
+ */
+function bigEndian(value, length) {
+  const bytes = [];
+  for (let i = length - 1; i >= 0; i--) bytes.push((value >> (i * 8)) & 0xFF);
+  return bytes;
+}
+
+/**
+ * Build a meta event
+ * @param {number} type - Meta event type
+ * @param {Array<number>} data - Event data
+ * @returns {Array<number>} Event bytes without delta time
+ */
+function metaEvent(type, data) {
+  return [0xFF, type, ...variableLength(data.length), ...data];
+}
+
+/**
+ * Encode text as bytes (non-ASCII characters become '?')
+ * @param {string} text - Text
+ * @returns {Array<number>} Bytes
+ */
+function textBytes(text) {
+  return Array.from(text, char => char.charCodeAt(0) < 128 ? char.charCodeAt(0) : 63);
+}
+
+/**
+ * Build a track chunk from timed events
+ * @param {Array<Object>} events - Events as { tick, data }, data being raw event bytes
+ * @returns {Array<number>} MTrk chunk bytes
+ */
+function trackChunk(events) {
+  // Stable sort keeps note offs before note ons recorded at the same tick
+  const sorted = events
+    .map((event, index) => ({ ...event, index }))
+    .sort((a, b) => a.tick - b.tick || a.index - b.index);
+
+  const bytes = [];
+  let lastTick = 0;
+  sorted.forEach(event => {
+    const tick = Math.max(lastTick, Math.round(event.tick));
+    bytes.push(...variableLength(tick - lastTick), ...event.data);
+    lastTick = tick;
+  });
+  bytes.push(0, ...metaEvent(META_END_OF_TRACK, []));
+
+  return [...textBytes('MTrk'), ...bigEndian(bytes.length, 4), ...bytes];
+}
+
+/**
+ * Encode a type-1 Standard MIDI File
+ * @param {Object} song - { ppq, bpm, timeSignature: [beats, beatUnit], tracks: [{ name, events: [{ tick, data }] }] }
+ * @returns {Blob} .mid file
+ */
+export function encodeMidiFile({ ppq = 480, bpm = 120, timeSignature = [4, 4], tracks }) {
+  const microsecondsPerBeat = Math.round(60000000 / bpm);
+  const [beats, beatUnit] = timeSignature;
+
+  const conductor = trackChunk([
+    { tick: 0, data: metaEvent(META_TRACK_NAME, textBytes('HandSynth')) },
+    { tick: 0, data: metaEvent(META_TEMPO, bigEndian(microsecondsPerBeat, 3)) },
+    { tick: 0, data: metaEvent(META_TIME_SIGNATURE, [beats, Math.log2(beatUnit), 24, 8]) }
+  ]);
+
+  const chunks = tracks.map(track => trackChunk([
+    { tick: 0, data: metaEvent(META_TRACK_NAME, textBytes(track.name)) },
+    ...track.events
+  ]));
+
+  // Header: format 1, track count, ticks per quarter note
+  const header = [
+    ...textBytes('MThd'), ...bigEndian(6, 4),
+    ...bigEndian(1, 2), ...bigEndian(chunks.length + 1, 2), ...bigEndian(ppq, 2)
+  ];
+
+  const bytes = new Uint8Array([...header, ...conductor, ...chunks.flat()]);
+  return new Blob([bytes], { type: 'audio/midi' });
+}
+
+export default {
+  encodeMidiFile
+};
@@ -0,0 +1,173 @@
+/**
+ * Web MIDI input for HandSynth
+ * Plays incoming notes on the melody or harmony voice, in place of that hand
+ */
+
+import { state } from '../config.js';
+import { getMidiAccess } from './midi-access.js';
+import { getNoteFromMidi, getChordFromNotes } from '../audio/music-theory.js';
+import { playMelodyNote, playChord, stopMelody, stopChord } from '../audio/synth.js';
+import { updateVisualKeyboard } from '../visual/keyboard.js';
+import { showMessage } from '../ui/messages.js';
+
+// MIDI status nibbles
+const NOTE_ON = 0x90;
+const NOTE_OFF = 0x80;
+const CONTROL_CHANGE = 0xB0;
+
+// Controllers that release everything
+const CC_ALL_SOUND_OFF = 120;
+const CC_ALL_NOTES_OFF = 123;
+
+// Selected input port
+let input = null;
+
+// Held MIDI notes in the order they were pressed (last = most recent)
+let heldNotes = [];
+
+// Velocity of the most recent key press (0.0 to 1.0)
+let lastVelocity = 0.8;
+
+// Guard against registering the port state listener twice
+let listening = false;
+
+/**
+ * List the available MIDI input ports
+ * @returns {Promise<Array>} Ports as { id, name }
+ */
+export function getMidiInputs() {
+  return getMidiAccess().then(access =>
+    Array.from(access.inputs.values()).map(port => ({ id: port.id, name: port.name }))
+  );
+}
+
+/**
+ * Select the input port (null to disable MIDI input)
+ * @param {string|null} id - Port id
+ * @returns {Promise<void>}
+ */
+export function setMidiInput(id) {
+  if (input) {
+    input.onmidimessage = null;
+    input = null;
+  }
+  releaseInputNotes();
+
+  state.midiInputId = id || null;
+  if (!id) return Promise.resolve();
+
+  return getMidiAccess().then(access => {
+    if (!listening) {
+      access.addEventListener('statechange', handleStateChange);
+      listening = true;
+    }
+
+    const port = access.inputs.get(id);
+    if (!port) throw new Error('MIDI input not found');
+
+    port.onmidimessage = handleMessage;
+    input = port;
+    console.log("MIDI input:", port.name);
+  });
+}
+
+/**
+ * Follow the selected port being unplugged and plugged back in
+ * While it is gone its held notes are released and the hand plays the voice again;
+ * the selection is kept, so the port is picked up again when it returns
+ * @param {MIDIConnectionEvent} event - Port state change
+ */
+function handleStateChange(event) {
+  const port = event.port;
+  if (port.type !== 'input' || port.id !== state.midiInputId) return;
+
+  if (port.state === 'disconnected' && input) {
+    input.onmidimessage = null;
+    input = null;
+    releaseInputNotes();
+    showMessage(`MIDI input ${port.name} disconnected`);
+  } else if (port.state === 'connected' && !input) {
+    port.onmidimessage = handleMessage;
+    input = port;
+    showMessage(`MIDI input ${port.name} reconnected`);
+  }
+}
+
+/**
+ * Choose which voice incoming notes play; the hands stop playing that voice
+ * @param {string} role - 'melody' or 'harmony'
+ */
+export function setMidiInputRole(role) {
+  releaseInputNotes();
+  state.midiInputRole = role;
+}
+
+/**
+ * Check whether MIDI input is playing a voice instead of the hands
+ * @param {string} part - 'melody' or 'harmony'
+ * @returns {boolean} True if an input port is selected and routed to this voice
+ */
+export function isMidiInputPlaying(part) {
+  return input !== null && state.midiInputRole === part;
+}
+
+/**
+ * Handle a message from the input port
+ * @param {MIDIMessageEvent} event - MIDI message
+ */
+function handleMessage(event) {
+  const [status, data1, data2] = event.data;
+  const type = status & 0xF0;
+  const channel = (status & 0x0F) + 1;
+
+  if (state.midiInputChannel && channel !== state.midiInputChannel) return;
+
+  if (type === NOTE_ON && data2 > 0) {
+    heldNotes = heldNotes.filter(note => note !== data1);
+    heldNotes.push(data1);
+    lastVelocity = data2 / 127;
+    updateVoice();
+  } else if (type === NOTE_OFF || type === NOTE_ON) {
+    // Note on with velocity 0 is a note off
+    heldNotes = heldNotes.filter(note => note !== data1);
+    updateVoice();
+  } else if (type === CONTROL_CHANGE && (data1 === CC_ALL_SOUND_OFF || data1 === CC_ALL_NOTES_OFF)) {
+    releaseInputNotes();
+  }
+}
+
+/**
+ * Play the held notes on the voice the input is routed to
+ */
+function updateVoice() {
+  if (state.midiInputRole === 'melody') {
+    // Monophonic, last note priority
+    if (heldNotes.length > 0) {
+      playMelodyNote(getNoteFromMidi(heldNotes[heldNotes.length - 1]), lastVelocity);
+    } else {
+      stopMelody();
+    }
+  } else if (heldNotes.length > 0) {
+    playChord(getChordFromNotes(heldNotes), lastVelocity);
+  } else {
+    stopChord();
+  }
+
+  updateVisualKeyboard();
+}
+
+/**
+ * Forget held notes and silence the voice they were playing
+ */
+function releaseInputNotes() {
+  if (heldNotes.length === 0) return;
+  heldNotes = [];
+  updateVoice();
+}
+
+export default {
+  getMidiInputs,
+  setMidiInput,
+  setMidiInputRole,
+  isMidiInputPlaying
+};
@@ -0,0 +1,229 @@
+/**
+ * Web MIDI output for HandSynth
+ * Mirrors the melody and chord hands as MIDI notes and controller changes
+ */
+
+import { state } from '../config.js';
+import { getMidiAccess } from './midi-access.js';
+
+// MIDI status bytes
+const NOTE_ON = 0x90;
+const NOTE_OFF = 0x80;
+const CONTROL_CHANGE = 0xB0;
+const PITCH_BEND = 0xE0;
+
+// Controller numbers
+export const CC_MODULATION = 1;
+export const CC_VOLUME = 7;
+export const CC_PAN = 10;
+export const CC_BRIGHTNESS = 74;
+export const CC_REVERB = 91;
+
+// Selected output port
+let output = null;
+
+// Incremented per selection, so a port that opens after a newer selection is ignored
+let selection = 0;
+
+// Notes currently held per part, so stops and port changes can release them
+const heldNotes = {
+  melody: new Set(),
+  harmony: new Set()
+};
+
+// Last value sent per channel and controller, to avoid flooding the port
+const lastControlValues = new Map();
+
+// Last pitch bend sent per channel
+const lastPitchBends = new Map();
+
+/**
+ * Get the MIDI channel (1-16) configured for a part
+ * @param {string} part - 'melody' or 'harmony'
+ * @returns {number} MIDI channel
+ */
+function channelFor(part) {
+  return part === 'melody' ? state.melodyMidiChannel : state.harmonyMidiChannel;
+}
+
+/**
+ * Convert a note name or MIDI number to a MIDI note number
+ * @param {string|number} note - Note name (e.g., "C4") or MIDI number
+ * @returns {number} MIDI note number
+ */
+function toMidiNumber(note) {
+  return typeof note === 'number' ? note : Tone.Frequency(note).toMidi();
+}
+
+/**
+ * Send a raw message to the selected port
+ * @param {Array<number>} message - MIDI bytes
+ */
+function send(message) {
+  if (!output) return;
+
+  try {
+    output.send(message);
+  } catch (error) {
+    console.error("Error sending MIDI:", error);
+  }
+}
+
+/**
+ * List the available MIDI output ports
+ * @returns {Promise<Array>} Ports as { id, name }
+ */
+export function getMidiOutputs() {
+  return getMidiAccess().then(access =>
+    Array.from(access.outputs.values()).map(port => ({ id: port.id, name: port.name }))
+  );
+}
+
+/**
+ * Select the output port (null to disable MIDI output)
+ * The port only becomes the selected one once it has opened
+ * @param {string|null} id - Port id
+ * @returns {Promise<void>}
+ */
+export function setMidiOutput(id) {
+  releaseMidiNotes('melody');
+  releaseMidiNotes('harmony');
+  lastControlValues.clear();
+  lastPitchBends.clear();
+
+  // Nothing is sent and no port is selected until the new port has opened
+  output = null;
+  state.midiOutputId = null;
+  const current = ++selection;
+  if (!id) return Promise.resolve();
+
+  return getMidiAccess()
+    .then(access => {
+      const port = access.outputs.get(id);
+      if (!port) throw new Error('MIDI output not found');
+      return port.open();
+    })
+    .then(port => {
+      if (current !== selection) return;
+      output = port;
+      state.midiOutputId = id;
+      console.log("MIDI output:", port.name);
+    });
+}
+
+/**
+ * Check whether MIDI output is active
+ * @returns {boolean} True when a port is selected
+ */
+export function isMidiOutputEnabled() {
+  return output !== null;
+}
+
+/**
+ * Send note on messages for a part
+ * @param {string} part - 'melody' or 'harmony'
+ * @param {string|number|Array} notes - Note name(s) or MIDI number(s)
+ * @param {number} velocity - Velocity (0.0 to 1.0)
+ */
+export function sendNoteOn(part, notes, velocity = 0.8) {
+  if (!output) return;
+
+  const channel = channelFor(part) - 1;
+  const midiVelocity = Math.max(1, Math.min(127, Math.round(velocity * 127)));
+
+  (Array.isArray(notes) ? notes : [notes]).forEach(note => {
+    const midi = toMidiNumber(note);
+    heldNotes[part].add(midi);
+    send([NOTE_ON | channel, midi, midiVelocity]);
+  });
+}
+
+/**
+ * Send note off messages for a part
+ * @param {string} part - 'melody' or 'harmony'
+ * @param {string|number|Array} notes - Note name(s) or MIDI number(s)
+ */
+export function sendNoteOff(part, notes) {
+  if (!output) return;
+
+  const channel = channelFor(part) - 1;
+
+  (Array.isArray(notes) ? notes : [notes]).forEach(note => {
+    const midi = toMidiNumber(note);
+    heldNotes[part].delete(midi);
+    send([NOTE_OFF | channel, midi, 0]);
+  });
+}
+
+/**
+ * Release every held note of a part
+ * @param {string} part - 'melody' or 'harmony'
+ */
+export function releaseMidiNotes(part) {
+  if (heldNotes[part].size === 0) return;
+  sendNoteOff(part, Array.from(heldNotes[part]));
+  heldNotes[part].clear();
+}
+
+/**
+ * Send a control change for a part (skipped if the value did not change)
+ * @param {string} part - 'melody' or 'harmony'
+ * @param {number} controller - Controller number (e.g. CC_VOLUME)
+ * @param {number} value - Value (0.0 to 1.0)
+ */
+export function sendControlChange(part, controller, value) {
+  if (!output) return;
+
+  const channel = channelFor(part) - 1;
+  const midiValue = Math.max(0, Math.min(127, Math.round(value * 127)));
+  const key = `${channel}:${controller}`;
+
+  if (lastControlValues.get(key) === midiValue) return;
+  lastControlValues.set(key, midiValue);
+
+  send([CONTROL_CHANGE | channel, controller, midiValue]);
+}
+
+/**
+ * Send a pitch bend for a part (skipped if the value did not change)
+ * @param {string} part - 'melody' or 'harmony'
+ * @param {number} amount - Bend from -1.0 (full down) to 1.0 (full up)
+ */
+export function sendPitchBend(part, amount) {
+  if (!output) return;
+
+  const channel = channelFor(part) - 1;
+  const value = toPitchBendValue(amount);
+
+  if (lastPitchBends.get(channel) === value) return;
+  lastPitchBends.set(channel, value);
+
+  send([PITCH_BEND | channel, value & 0x7F, value >> 7]);
+}
+
+/**
+ * Convert a bend amount to a 14-bit pitch bend value (8192 = centre)
+ * @param {number} amount - Bend from -1.0 to 1.0
+ * @returns {number} Value from 0 to 16383
+ */
+export function toPitchBendValue(amount) {
+  const clamped = Math.max(-1, Math.min(1, amount));
+  return Math.min(16383, Math.round(8192 + clamped * 8192));
+}
+
+export default {
+  CC_MODULATION,
+  CC_VOLUME,
+  CC_PAN,
+  CC_BRIGHTNESS,
+  CC_REVERB,
+  getMidiOutputs,
+  setMidiOutput,
+  isMidiOutputEnabled,
+  sendNoteOn,
+  sendNoteOff,
+  releaseMidiNotes,
+  sendControlChange,
+  sendPitchBend,
+  toPitchBendValue
+};
@@ -0,0 +1,217 @@
+/**
+ * MIDI performance recorder for HandSynth
+ * Logs the notes and controller changes played by synth.js and exports them as a .mid file
+ */
+
+import { state } from '../config.js';
+import { encodeMidiFile } from './midi-file.js';
+import { toPitchBendValue } from './midi-output.js';
+import { isTransportRunning, getTransportSeconds } from '../audio/transport.js';
+
+// MIDI status nibbles
+const NOTE_ON = 0x90;
+const NOTE_OFF = 0x80;
+const CONTROL_CHANGE = 0xB0;
+const PITCH_BEND = 0xE0;
+
+// File resolution
+const PPQ = 480;
+
+// Track names per part
+const TRACK_NAMES = {
+  melody: 'Melody (right hand)',
+  harmony: 'Chords (left hand)'
+};
+
+// Capture session
+let capturing = false;
+let startedAt = 0;
+let bpm = 120;
+let timeSignature = [4, 4];
+let events = { melody: [], harmony: [] };
+const heldNotes = { melody: new Map(), harmony: new Map() };
+const lastControlValues = new Map();
+const lastPitchBends = new Map();
+
+/**
+ * Convert a note name or MIDI number to a MIDI note number
+ * @param {string|number} note - Note name (e.g., "C4") or MIDI number
+ * @returns {number} MIDI note number
+ */
+function toMidiNumber(note) {
+  return typeof note === 'number' ? note : Tone.Frequency(note).toMidi();
+}
+
+/**
+ * Get the channel (0-15) a part is recorded on
+ * @param {string} part - 'melody' or 'harmony'
+ * @returns {number} Zero-based MIDI channel
+ */
+function channelFor(part) {
+  return (part === 'melody' ? state.melodyMidiChannel : state.harmonyMidiChannel) - 1;
+}
+
+/**
+ * Append an event to a part
+ * @param {string} part - 'melody' or 'harmony'
+ * @param {Array<number>} data - Raw MIDI bytes
+ */
+function addEvent(part, data) {
+  events[part].push({ time: Tone.now() - startedAt, data });
+}
+
+/**
+ * Start logging a new performance
+ * Notes already sounding are written at the start of the take
+ */
+export function startMidiCapture() {
+  capturing = true;
+  startedAt = Tone.now();
+
+  // With the transport running, the file starts at the current bar line so its grid matches
+  if (isTransportRunning()) {
+    startedAt -= getTransportSeconds() % Tone.Time('1m').toSeconds();
+  }
+
+  bpm = state.bpm;
+  timeSignature = state.timeSignature;
+  events = { melody: [], harmony: [] };
+  heldNotes.melody.clear();
+  heldNotes.harmony.clear();
+  lastControlValues.clear();
+  lastPitchBends.clear();
+
+  if (state.rightHandIsPlaying && state.currentMelodyNotes.length > 0) {
+    recordNoteOn('melody', state.currentMelodyNotes, 0.8);
+  }
+  if (state.leftHandIsPlaying && state.currentChord) {
+    recordNoteOn('harmony', state.currentChord.notes, 0.6);
+  }
+}
+
+/**
+ * Stop logging, closing any notes still held
+ * @returns {Blob|null} Type-1 .mid file, or null if nothing was played
+ */
+export function stopMidiCapture() {
+  if (!capturing) return null;
+
+  recordAllNotesOff('melody');
+  recordAllNotesOff('harmony');
+  capturing = false;
+
+  if (events.melody.length === 0 && events.harmony.length === 0) return null;
+
+  // Bar lines in the file follow the tempo and meter set when the take started
+  const ticksPerSecond = PPQ * bpm / 60;
+  const toTrack = part => ({
+    name: TRACK_NAMES[part],
+    events: events[part].map(event => ({ tick: event.time * ticksPerSecond, data: event.data }))
+  });
+
+  return encodeMidiFile({
+    ppq: PPQ,
+    bpm,
+    timeSignature,
+    tracks: [toTrack('melody'), toTrack('harmony')]
+  });
+}
+
+/**
+ * Check whether a performance is being logged
+ * @returns {boolean} True while capturing
+ */
+export function isMidiCapturing() {
+  return capturing;
+}
+
+/**
+ * Log note on events
+ * @param {string} part - 'melody' or 'harmony'
+ * @param {string|number|Array} notes - Note name(s) or MIDI number(s)
+ * @param {number} velocity - Velocity (0.0 to 1.0)
+ */
+export function recordNoteOn(part, notes, velocity = 0.8) {
+  if (!capturing) return;
+
+  const channel = channelFor(part);
+  const midiVelocity = Math.max(1, Math.min(127, Math.round(velocity * 127)));
+
+  (Array.isArray(notes) ? notes : [notes]).forEach(note => {
+    const midi = toMidiNumber(note);
+    heldNotes[part].set(midi, channel);
+    addEvent(part, [NOTE_ON | channel, midi, midiVelocity]);
+  });
+}
+
+/**
+ * Log note off events
+ * @param {string} part - 'melody' or 'harmony'
+ * @param {string|number|Array} notes - Note name(s) or MIDI number(s)
+ */
+export function recordNoteOff(part, notes) {
+  if (!capturing) return;
+
+  (Array.isArray(notes) ? notes : [notes]).forEach(note => {
+    const midi = toMidiNumber(note);
+    if (!heldNotes[part].has(midi)) return;
+
+    // Close the note on the channel it was opened on
+    const channel = heldNotes[part].get(midi);
+    heldNotes[part].delete(midi);
+    addEvent(part, [NOTE_OFF | channel, midi, 0]);
+  });
+}
+
+/**
+ * Log note offs for every held note of a part
+ * @param {string} part - 'melody' or 'harmony'
+ */
+export function recordAllNotesOff(part) {
+  recordNoteOff(part, Array.from(heldNotes[part].keys()));
+}
+
+/**
+ * Log a control change (skipped if the value did not change)
+ * @param {string} part - 'melody' or 'harmony'
+ * @param {number} controller - Controller number
+ * @param {number} value - Value (0.0 to 1.0)
+ */
+export function recordControlChange(part, controller, value) {
+  if (!capturing) return;
+
+  const channel = channelFor(part);
+  const midiValue = Math.max(0, Math.min(127, Math.round(value * 127)));
+  const key = `${part}:${controller}`;
+
+  if (lastControlValues.get(key) === midiValue) return;
+  lastControlValues.set(key, midiValue);
+
+  addEvent(part, [CONTROL_CHANGE | channel, controller, midiValue]);
+}
+
+/**
+ * Log a pitch bend (skipped if the value did not change)
+ * @param {string} part - 'melody' or 'harmony'
+ * @param {number} amount - Bend from -1.0 (full down) to 1.0 (full up)
+ */
+export function recordPitchBend(part, amount) {
+  if (!capturing) return;
+
+  const value = toPitchBendValue(amount);
+  if (lastPitchBends.get(part) === value) return;
+  lastPitchBends.set(part, value);
+
+  addEvent(part, [PITCH_BEND | channelFor(part), value & 0x7F, value >> 7]);
+}
+
+export default {
+  startMidiCapture,
+  stopMidiCapture,
+  isMidiCapturing,
+  recordNoteOn,
+  recordNoteOff,
+  recordAllNotesOff,
+  recordControlChange,
+  recordPitchBend
+};
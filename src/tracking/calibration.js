@@ -0,0 +1,323 @@
+/**
+ * Per-user hand calibration for HandSynth
+ * Records how far each hand comfortably reaches and how far its fingers open and close,
+ * then remaps positions and finger distances so those ranges cover every control
+ */
+
+import { MIN_PINCH_DIST, MAX_PINCH_DIST } from '../config.js';
+import { calculateDistance, clamp } from '../utils/math.js';
+
+// localStorage key for calibrations: user id -> { left, right }
+const STORAGE_KEY = 'handsynth_calibration';
+
+// User id used when nobody is signed in
+const GUEST_ID = 'guest';
+
+// Smallest usable reach (fraction of the frame) and finger range
+const MIN_REACH = 0.15;
+const MIN_FINGER_RANGE = 0.02;
+
+// Share of the recorded reach trimmed from each end, so the extremes are easy to hit
+const EDGE_INSET = 0.05;
+
+// Steps of the calibration wizard, in order
+export const calibrationSteps = [
+  { id: 'top', prompt: 'Raise both hands as high as is comfortable' },
+  { id: 'bottom', prompt: 'Lower both hands as far as is comfortable' },
+  { id: 'left', prompt: 'Move both hands to your left' },
+  { id: 'right', prompt: 'Move both hands to your right' },
+  { id: 'open', prompt: 'Open both hands wide, fingers spread' },
+  { id: 'pinch', prompt: 'Touch each thumb to its index and middle fingertips' }
+];
+
+// Ranges used without a calibration: the full frame and the default pinch distances
+const DEFAULT_CALIBRATION = {
+  top: 0,
+  bottom: 1,
+  left: 0,
+  right: 1,
+  pinchClosed: MIN_PINCH_DIST,
+  pinchOpen: MAX_PINCH_DIST,
+  spreadClosed: MIN_PINCH_DIST,
+  spreadOpen: MAX_PINCH_DIST
+};
+
+// Signed-in user and their calibration per hand ('left' = chord hand, 'right' = melody hand)
+let userId = GUEST_ID;
+let calibration = { left: null, right: null };
+
+// Wizard session: measurements per finished step, and samples of the step recording now
+let active = false;
+let measurements = {};
+let capture = null;
+
+/**
+ * Read every stored calibration
+ * @returns {Object} Calibrations keyed by user id
+ */
+function loadAll() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return stored ? JSON.parse(stored) : {};
+  } catch (e) {
+    console.error('Failed to parse stored calibrations', e);
+    localStorage.removeItem(STORAGE_KEY);
+    return {};
+  }
+}
+
+/**
+ * Write the current user's calibration to localStorage
+ */
+function storeCalibration() {
+  const all = loadAll();
+  if (calibration.left || calibration.right) {
+    all[userId] = calibration;
+  } else {
+    delete all[userId];
+  }
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+}
+
+/**
+ * Load the calibration stored for a user
+ * @param {string|null} id - User id (authState.user.id), or null for a guest
+ */
+export function loadCalibration(id) {
+  userId = id || GUEST_ID;
+  const stored = loadAll()[userId];
+  calibration = {
+    left: stored && stored.left ? { ...DEFAULT_CALIBRATION, ...stored.left } : null,
+    right: stored && stored.right ? { ...DEFAULT_CALIBRATION, ...stored.right } : null
+  };
+}
+
+/**
+ * Check whether a hand has a calibration
+ * @param {string} hand - 'left' or 'right'
+ * @returns {boolean} True if the hand is calibrated
+ */
+export function isHandCalibrated(hand) {
+  return calibration[hand] !== null;
+}
+
+/**
+ * Get the ranges in use for a hand
+ * @param {string} hand - 'left' or 'right'
+ * @returns {Object} { top, bottom, left, right, pinchClosed, pinchOpen, spreadClosed, spreadOpen }
+ */
+export function getCalibration(hand) {
+  return calibration[hand] || DEFAULT_CALIBRATION;
+}
+
+/**
+ * Remap a vertical position to the hand's calibrated reach
+ * @param {string} hand - 'left' or 'right'
+ * @param {number} y - Vertical position in the frame (0.0-1.0)
+ * @returns {number} Position within the reach (0.0 = top, 1.0 = bottom)
+ */
+export function getCalibratedY(hand, y) {
+  const { top, bottom } = getCalibration(hand);
+  return clamp((y - top) / (bottom - top), 0, 1);
+}
+
+/**
+ * Remap a horizontal position to the hand's calibrated reach
+ * @param {string} hand - 'left' or 'right'
+ * @param {number} x - Horizontal position from the player's left (0.0-1.0)
+ * @returns {number} Position within the reach (0.0 = left, 1.0 = right)
+ */
+export function getCalibratedX(hand, x) {
+  const { left, right } = getCalibration(hand);
+  return clamp((x - left) / (right - left), 0, 1);
+}
+
+/**
+ * Get how far the thumb and index finger are apart within the hand's range
+ * @param {string} hand - 'left' or 'right'
+ * @param {number} distance - Thumb to index fingertip distance
+ * @returns {number} 0.0 (pinched) to 1.0 (open)
+ */
+export function getPinchAmount(hand, distance) {
+  const { pinchClosed, pinchOpen } = getCalibration(hand);
+  return clamp((distance - pinchClosed) / (pinchOpen - pinchClosed), 0, 1);
+}
+
+/**
+ * Get how far the thumb and middle finger are apart within the hand's range
+ * @param {string} hand - 'left' or 'right'
+ * @param {number} distance - Thumb to middle fingertip distance
+ * @returns {number} 0.0 (closed) to 1.0 (open)
+ */
+export function getSpreadAmount(hand, distance) {
+  const { spreadClosed, spreadOpen } = getCalibration(hand);
+  return clamp((distance - spreadClosed) / (spreadOpen - spreadClosed), 0, 1);
+}
+
+/**
+ * Check whether the wizard is running (hands are recorded instead of played)
+ * @returns {boolean} True while calibrating
+ */
+export function isCalibrating() {
+  return active;
+}
+
+/**
+ * Start a calibration session
+ */
+export function startCalibration() {
+  active = true;
+  measurements = {};
+  capture = null;
+}
+
+/**
+ * Start recording a step of the wizard
+ * @param {string} stepId - Step id from calibrationSteps
+ */
+export function startCalibrationStep(stepId) {
+  capture = { stepId, samples: { left: [], right: [] } };
+}
+
+/**
+ * Record a frame of a hand for the step being recorded
+ * @param {string} hand - 'left' or 'right'
+ * @param {Array} landmarks - MediaPipe hand landmarks
+ */
+export function recordCalibrationFrame(hand, landmarks) {
+  if (!capture || !landmarks || landmarks.length < 21) return;
+
+  capture.samples[hand].push({
+    // The view is mirrored, so the image's left edge is the player's right
+    x: 1 - landmarks[0].x,
+    y: landmarks[0].y,
+    pinch: calculateDistance(landmarks[4], landmarks[8]),
+    spread: calculateDistance(landmarks[4], landmarks[12])
+  });
+}
+
+/**
+ * Stop recording the current step and keep the typical pose of each hand
+ * @returns {Object} Frames seen per hand: { left, right }
+ */
+export function endCalibrationStep() {
+  if (!capture) return { left: 0, right: 0 };
+
+  const { stepId, samples } = capture;
+  capture = null;
+
+  measurements[stepId] = {
+    left: summarizeSamples(samples.left),
+    right: summarizeSamples(samples.right)
+  };
+
+  return { left: samples.left.length, right: samples.right.length };
+}
+
+/**
+ * Reduce a step's samples to the median of each measurement
+ * @param {Array<Object>} samples - Samples from recordCalibrationFrame()
+ * @returns {Object|null} { x, y, pinch, spread }, or null if the hand was not seen
+ */
+function summarizeSamples(samples) {
+  if (samples.length === 0) return null;
+
+  const median = key => {
+    const values = samples.map(sample => sample[key]).sort((a, b) => a - b);
+    return values[Math.floor(values.length / 2)];
+  };
+
+  return { x: median('x'), y: median('y'), pinch: median('pinch'), spread: median('spread') };
+}
+
+/**
+ * Build a hand's calibration from the recorded steps
+ * @param {string} hand - 'left' or 'right'
+ * @returns {Object|null} Calibration, or null if a step missed the hand or a range is too small
+ */
+function buildHandCalibration(hand) {
+  const pose = stepId => measurements[stepId] && measurements[stepId][hand];
+  if (calibrationSteps.some(step => !pose(step.id))) return null;
+
+  const top = pose('top').y;
+  const bottom = pose('bottom').y;
+  const left = pose('left').x;
+  const right = pose('right').x;
+  const open = pose('open');
+  const closed = pose('pinch');
+
+  if (bottom - top < MIN_REACH || right - left < MIN_REACH) return null;
+  if (open.pinch - closed.pinch < MIN_FINGER_RANGE || open.spread - closed.spread < MIN_FINGER_RANGE) return null;
+
+  const insetY = (bottom - top) * EDGE_INSET;
+  const insetX = (right - left) * EDGE_INSET;
+
+  return {
+    top: top + insetY,
+    bottom: bottom - insetY,
+    left: left + insetX,
+    right: right - insetX,
+    pinchClosed: closed.pinch,
+    pinchOpen: open.pinch,
+    spreadClosed: closed.spread,
+    spreadOpen: open.spread
+  };
+}
+
+/**
+ * End the session, saving each hand that was calibrated successfully
+ * A hand that failed keeps its previous calibration
+ * @returns {Object} Whether each hand was calibrated: { left, right }
+ */
+export function finishCalibration() {
+  const result = {};
+
+  ['left', 'right'].forEach(hand => {
+    const handCalibration = buildHandCalibration(hand);
+    if (handCalibration) calibration[hand] = handCalibration;
+    result[hand] = handCalibration !== null;
+  });
+
+  if (result.left || result.right) storeCalibration();
+
+  active = false;
+  measurements = {};
+  capture = null;
+  return result;
+}
+
+/**
+ * End the session without changing the calibration
+ */
+export function cancelCalibration() {
+  active = false;
+  measurements = {};
+  capture = null;
+}
+
+/**
+ * Forget the current user's calibration and go back to the full frame
+ */
+export function resetCalibration() {
+  calibration = { left: null, right: null };
+  storeCalibration();
+}
+
+export default {
+  calibrationSteps,
+  loadCalibration,
+  isHandCalibrated,
+  getCalibration,
+  getCalibratedY,
+  getCalibratedX,
+  getPinchAmount,
+  getSpreadAmount,
+  isCalibrating,
+  startCalibration,
+  startCalibrationStep,
+  recordCalibrationFrame,
+  endCalibrationStep,
+  finishCalibration,
+  cancelCalibration,
+  resetCalibration
+};
@@ -0,0 +1,86 @@
+/**
+ * Tracking dropout bridging for HandSynth
+ * A hand missing from a few frames stays present at its last known position
+ * for a short grace period, so a dropped frame does not cut its notes
+ */
+
+import { state } from '../config.js';
+
+// Last sighting per hand ('left' = chord hand, 'right' = melody hand)
+const tracks = {
+  left: { lastSeen: 0, landmarks: null, missing: false },
+  right: { lastSeen: 0, landmarks: null, missing: false }
+};
+
+// Dropouts bridged per hand, and how many frames they covered
+const stats = {
+  left: { bridged: 0, frames: 0 },
+  right: { bridged: 0, frames: 0 }
+};
+
+/**
+ * Record that a hand was detected this frame
+ * @param {string} hand - 'left' or 'right'
+ * @param {Array} landmarks - MediaPipe hand landmarks
+ */
+export function markHandSeen(hand, landmarks) {
+  const track = tracks[hand];
+
+  // The hand came back before its grace period ran out
+  if (track.missing) {
+    stats[hand].bridged++;
+    track.missing = false;
+  }
+
+  track.lastSeen = performance.now();
+  track.landmarks = landmarks;
+}
+
+/**
+ * Get the last known landmarks of a hand missing from this frame
+ * @param {string} hand - 'left' or 'right'
+ * @returns {Array|null} Landmarks while within the grace period, otherwise null
+ */
+export function getBridgedLandmarks(hand) {
+  const track = tracks[hand];
+  if (!track.landmarks) return null;
+
+  if (performance.now() - track.lastSeen < state.dropoutHold) {
+    track.missing = true;
+    stats[hand].frames++;
+    return track.landmarks;
+  }
+
+  // Gone for longer than the grace period: the hand has really left
+  track.landmarks = null;
+  track.missing = false;
+  return null;
+}
+
+/**
+ * Get the dropout counts
+ * @returns {Object} { left: { bridged, frames }, right: { bridged, frames } }
+ */
+export function getDropoutStats() {
+  return {
+    left: { ...stats.left },
+    right: { ...stats.right }
+  };
+}
+
+/**
+ * Reset the dropout counts
+ */
+export function resetDropoutStats() {
+  Object.values(stats).forEach(counts => {
+    counts.bridged = 0;
+    counts.frames = 0;
+  });
+}
+
+export default {
+  markHandSeen,
+  getBridgedLandmarks,
+  getDropoutStats,
+  resetDropoutStats
+};
@@ -0,0 +1,144 @@
+/**
+ * Gesture triggers for HandSynth
+ * Runs actions (looper record, undo, ...) when a bound hand gesture is held briefly.
+ * Modules register their actions; the user binds them to gestures in the Gestures panel.
+ */
+
+import { recognizeGesture } from '../utils/hand-utils.js';
+import { getLatchMode } from './latch.js';
+
+// localStorage key for gesture bindings
+const STORAGE_KEY = 'handsynth_gestures';
+
+// How long a gesture must be held before its action runs (ms)
+const HOLD_TIME = 400;
+
+// Gestures that can trigger actions (pinch and open hand are used for playing)
+export const triggerGestures = {
+  fist: 'Fist',
+  point: 'Point',
+  peace: 'Peace sign',
+  call: 'Call me (thumb + pinky)',
+  four: 'Four fingers'
+};
+
+// Registered actions: id -> { label, run, defaultBinding }
+const actions = new Map();
+
+// Bindings: action id -> 'left:fist' style binding ('' = unbound)
+const storedBindings = loadBindings();
+
+// Gesture being held per hand: { name, since, fired }
+const held = {
+  left: { name: null, since: 0, fired: false },
+  right: { name: null, since: 0, fired: false }
+};
+
+/**
+ * Read gesture bindings from localStorage
+ * @returns {Object} Bindings keyed by action id
+ */
+function loadBindings() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return stored ? JSON.parse(stored) : {};
+  } catch (e) {
+    console.error('Failed to parse stored gesture bindings', e);
+    localStorage.removeItem(STORAGE_KEY);
+    return {};
+  }
+}
+
+/**
+ * Register an action that gestures can trigger
+ * @param {string} id - Action id (e.g. 'loop-record')
+ * @param {string} label - Label shown in the Gestures panel
+ * @param {Function} run - Called when the bound gesture is held
+ * @param {string} defaultBinding - Binding used until the user changes it (e.g. 'left:peace')
+ */
+export function registerGestureAction(id, label, run, defaultBinding = '') {
+  actions.set(id, { label, run, defaultBinding });
+}
+
+/**
+ * Get the registered actions
+ * @returns {Array<Object>} Actions as { id, label }
+ */
+export function getGestureActions() {
+  return Array.from(actions.entries()).map(([id, action]) => ({ id, label: action.label }));
+}
+
+/**
+ * Get the gesture bound to an action
+ * @param {string} id - Action id
+ * @returns {string} Binding like 'left:fist', or '' when unbound
+ */
+export function getGestureBinding(id) {
+  if (id in storedBindings) return storedBindings[id];
+  const action = actions.get(id);
+  return action ? action.defaultBinding : '';
+}
+
+/**
+ * Bind an action to a gesture and remember it
+ * @param {string} id - Action id
+ * @param {string} binding - Binding like 'left:fist', or '' to unbind
+ */
+export function setGestureBinding(id, binding) {
+  storedBindings[id] = binding;
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(storedBindings));
+}
+
+/**
+ * Check whether a gesture is taken by playing on a hand right now
+ * A fist releases a latched part, so it can't also trigger actions on that hand
+ * @param {string} hand - 'left' or 'right' (the hand's role: chords or melody)
+ * @param {string} gesture - Gesture name (e.g. 'fist')
+ * @returns {boolean} True if the gesture is ignored as a trigger on this hand
+ */
+export function isGestureReserved(hand, gesture) {
+  return gesture === 'fist' && getLatchMode(hand === 'left' ? 'harmony' : 'melody') === 'latch';
+}
+
+/**
+ * Feed one frame of a hand to the triggers (call every frame, with null when the hand is gone)
+ * @param {string} hand - 'left' or 'right' (the hand's role: chords or melody)
+ * @param {Array|null} landmarks - Hand landmarks from MediaPipe
+ */
+export function updateGestureTriggers(hand, landmarks) {
+  const recognized = landmarks ? recognizeGesture(landmarks).name : null;
+  const name = recognized && !isGestureReserved(hand, recognized) ? recognized : null;
+  const current = held[hand];
+  const now = performance.now();
+
+  if (name !== current.name) {
+    current.name = name;
+    current.since = now;
+    current.fired = false;
+    return;
+  }
+
+  if (!name || current.fired || now - current.since < HOLD_TIME) return;
+
+  // Fire once per hold; the gesture has to change before it fires again
+  current.fired = true;
+  const binding = `${hand}:${name}`;
+  actions.forEach((action, id) => {
+    if (getGestureBinding(id) !== binding) return;
+    try {
+      action.run();
+    } catch (error) {
+      console.error(`Error running gesture action ${id}:`, error);
+    }
+  });
+}
+
+export default {
+  triggerGestures,
+  registerGestureAction,
+  getGestureActions,
+  getGestureBinding,
+  setGestureBinding,
+  isGestureReserved,
+  updateGestureTriggers
+};
@@ -3,12 +3,49 @@
  * Uses MediaPipe Hands for detection and processing
  */
 
-import { state, MIN_PINCH_DIST, MAX_PINCH_DIST } from '../config.js';
+import { state } from '../config.js';
 import { showMessage } from '../ui/messages.js';
 import { updateNoteDisplay } from '../ui/controls.js';
-import { getNoteFromPosition, getChordFromPosition } from '../audio/music-theory.js';
-import { playMelodyNote, playChord, stopMelody, stopChord, setVolume, setReverb } from '../audio/synth.js';
-import { calculateDistance } from '../utils/math.js';
+import {
+  getNoteFromPosition,
+  getPitchFromPosition,
+  getChordFromPosition,
+  getChordFromNotes,
+  getMidiFromPosition,
+  getNoteFromMidi,
+  resetZone,
+  formatCents
+} from '../audio/music-theory.js';
+import {
+  playMelodyNote,
+  playMelodyPitch,
+  playMelodyNotes,
+  playChord,
+  stopMelody,
+  stopChord,
+  setVolume,
+  setReverb,
+  setMelodyBend,
+  canMelodyBend,
+  setHandPosition
+} from '../audio/synth.js';
+import { calculateDistance, lerp } from '../utils/math.js';
+import { getFingerStates } from '../utils/hand-utils.js';
+import { isMidiInputPlaying } from '../midi/midi-input.js';
+import { updateGestureTriggers } from './gesture-triggers.js';
+import { updateHandRoll, resetHandRoll } from './hand-roll.js';
+import { updateHandMotion, resetHandMotion, getMotionVelocity } from './motion.js';
+import { isPartHeld, keepsSounding, isReleaseGesture } from './latch.js';
+import { markHandSeen, getBridgedLandmarks } from './dropout.js';
+import { filterLandmarks, resetLandmarkFilter } from './landmark-filter.js';
+import {
+  isCalibrating,
+  recordCalibrationFrame,
+  getCalibratedY,
+  getCalibratedX,
+  getPinchAmount,
+  getSpreadAmount
+} from './calibration.js';
 
 // MediaPipe Hands instance
 let hands;
@@ -16,6 +53,15 @@ let hands;
 // Canvas and video elements
 let canvasCtx, canvasElement, videoElement;
 
+// Smoothed horizontal position per hand (null while the hand is away)
+const smoothedX = { left: null, right: null };
+
+// How quickly the smoothed horizontal position follows the hand (0-1)
+const X_SMOOTHING = 0.25;
+
+// Fingertip landmark per finger, in the order notes are listed
+const FINGERTIPS = { thumb: 4, index: 8, middle: 12, ring: 16, pinky: 20 };
+
 /**
  * Setup hand tracking using MediaPipe Hands
  */
@@ -104,7 +150,6 @@ function onHandResults(results) {
     }
     
     // Reset hand states
-    let wasLeftHandPresent = state.isLeftHandPresent;
     let wasRightHandPresent = state.isRightHandPresent;
     state.isLeftHandPresent = false;
     state.isRightHandPresent = false;
@@ -117,15 +162,21 @@ function onHandResults(results) {
     
     // Process detected hands
     if (results.multiHandLandmarks && results.multiHandLandmarks.length > 0) {
+      const roles = assignHandRoles(results);
+      
       for (let i = 0; i < results.multiHandLandmarks.length; i++) {
-        if (!results.multiHandedness || !results.multiHandedness[i]) continue;
+        if (!roles[i]) continue;
+        
+        // MediaPipe's labels are mirrored: its 'Left' hand is the player's right (melody) hand
+        const isLeft = roles[i] === 'right';
         
-        const classification = results.multiHandedness[i];
-        const landmarks = results.multiHandLandmarks[i];
-        const isLeft = classification.label === 'Left';
+        // Smooth out tracking jitter before anything reads the landmarks
+        const landmarks = filterLandmarks(roles[i], results.multiHandLandmarks[i]);
         
-        // Process based on handedness
-        if (!isLeft) {
+        // Process based on handedness (while calibrating, hands are recorded instead of played)
+        if (isCalibrating()) {
+          recordCalibrationFrame(roles[i], landmarks);
+        } else if (!isLeft) {
           processLeftHand(landmarks);
         } else {
           processRightHand(landmarks);
@@ -136,21 +187,49 @@ function onHandResults(results) {
         drawConnectors(canvasCtx, landmarks, HAND_CONNECTIONS, { color: color, lineWidth: 10 });
         drawLandmarks(canvasCtx, landmarks, { color: color, lineWidth: 3, radius: 4 });
       }
-    } else {
-      // No hands detected, stop playing
-      stopMelody();
-      stopChord();
     }
     
+    // A hand missing for less than the grace period stays where it was last seen
+    const bridgedLeft = !state.isLeftHandPresent && bridgeDropout('left');
+    const bridgedRight = !state.isRightHandPresent && bridgeDropout('right');
+    
+    // Gesture triggers see every hand, including absent ones (to reset their hold);
+    // a hand playing with its fingers makes shapes on purpose, and a bridged hand's
+    // frozen pose is not really being held, so both are left out
+    updateGestureTriggers('left', state.chordFingers || bridgedLeft ? null : state.leftHandLandmarks);
+    updateGestureTriggers('right', state.melodyFingers || bridgedRight ? null : state.rightHandLandmarks);
+    
     // Stop sounds if hands disappear
-    if (!state.isLeftHandPresent && wasLeftHandPresent) {
+    if (!state.isLeftHandPresent) {
+      smoothedX.left = null;
+      resetHandMotion('left');
+      resetLandmarkFilter('left');
+      resetZone('harmony');
+    }
+    if (!state.isRightHandPresent) {
+      smoothedX.right = null;
+      resetHandMotion('right');
+      resetLandmarkFilter('right');
+      resetZone('melody');
+    }
+    
+    // Checked every frame so a latch or hold let go while the hand is away stops too
+    // (voices played by MIDI input keep going)
+    if (!state.isLeftHandPresent && state.leftHandIsPlaying &&
+        !isMidiInputPlaying('harmony') && !keepsSounding('harmony')) {
       stopChord();
     }
     
-    if (!state.isRightHandPresent && wasRightHandPresent) {
+    if (!state.isRightHandPresent && state.rightHandIsPlaying &&
+        !isMidiInputPlaying('melody') && !keepsSounding('melody')) {
       stopMelody();
     }
     
+    if (!state.isRightHandPresent && wasRightHandPresent && state.pitchBendEnabled) {
+      resetHandRoll();
+      setMelodyBend(0, 0);
+    }
+    
     canvasCtx.restore();
   } catch (error) {
     console.error("Error in hand tracking:", error);
@@ -159,6 +238,31 @@ function onHandResults(results) {
   }
 }
 
+/**
+ * Give each detected hand its role, one hand per role
+ * When MediaPipe labels both hands alike, the hand nearer the player's right
+ * (the image's left edge, as the view is mirrored) plays the melody
+ * @param {Object} results - MediaPipe Hands results
+ * @returns {Array<string|null>} Role per hand: 'left' (chords), 'right' (melody) or null to skip it
+ */
+function assignHandRoles(results) {
+  const roles = results.multiHandLandmarks.map((landmarks, i) => {
+    const classification = results.multiHandedness && results.multiHandedness[i];
+    if (!classification) return null;
+    return classification.label === 'Left' ? 'right' : 'left';
+  });
+  
+  const found = roles.map((role, i) => role ? i : -1).filter(i => i >= 0);
+  if (found.length === 2 && roles[found[0]] === roles[found[1]]) {
+    const [first, second] = found;
+    const firstIsRight = results.multiHandLandmarks[first][0].x < results.multiHandLandmarks[second][0].x;
+    roles[first] = firstIsRight ? 'right' : 'left';
+    roles[second] = firstIsRight ? 'left' : 'right';
+  }
+  
+  return roles;
+}
+
 /**
  * Process left hand (controls harmony/chords)
  * @param {Array} landmarks - Hand landmarks from MediaPipe
@@ -166,6 +270,8 @@ function onHandResults(results) {
 function processLeftHand(landmarks) {
   state.isLeftHandPresent = true;
   state.leftHandLandmarks = landmarks;
+  markHandSeen('left', landmarks);
+  if (landmarks && landmarks.length > 9) updateHandMotion('left', landmarks, getAspectRatio());
   
   // LEFT HAND: Vertical position controls harmony/chords
   if (landmarks && landmarks.length > 8) {
@@ -178,25 +284,51 @@ function processLeftHand(landmarks) {
       const pinchDist = calculateDistance(thumbTip, indexTip);
       
       // Reverb control with pinch distance
-      setReverb('left', mapPinchToReverb(pinchDist));
+      const reverbLevel = mapPinchToReverb('left', pinchDist);
+      setReverb('left', reverbLevel);
       
       // Volume control with ring and middle fingers
       const middleFinger = landmarks[12];
       const fingerDist = calculateDistance(middleFinger, thumbTip);
-      setVolume('left', mapFingerToVolume(fingerDist));
+      const volumeLevel = mapFingerToVolume('left', fingerDist);
+      setVolume('left', volumeLevel);
       
-      // Get chord based on hand height
-      const chord = getChordFromPosition(wrist.y);
+      // Horizontal position drives the chord hand's X-axis mapping
+      const handX = smoothHandX('left', wrist.x);
+      setHandPosition('left', handX);
       
-      // Playing or not based on hand presence
-      playChord(chord);
-      
-      // Draw chord name above hand
-      drawChordName(chord, wrist);
+      // Chords come from MIDI input instead of this hand, or stay frozen while held
+      if (!isMidiInputPlaying('harmony') && isReleaseGesture('harmony', landmarks)) {
+        // A fist releases latched chords
+        stopChord();
+      } else if (!isMidiInputPlaying('harmony') && !isPartHeld('harmony')) {
+        const velocity = state.velocitySensitive ? getMotionVelocity('left') : undefined;
+        
+        if (state.chordFingers) {
+          // Each extended finger plays a note an octave below the melody range
+          const fingerNotes = getFingerNotes('left', landmarks, -12);
+          if (fingerNotes.length > 0) {
+            playChord(getChordFromNotes(fingerNotes.map(({ midi }) => midi)), velocity);
+          } else {
+            stopChord();
+          }
+          drawFingerNotes(fingerNotes, landmarks, 'white');
+        } else {
+          // Get chord based on hand height
+          const chord = getChordFromPosition(getCalibratedY('left', wrist.y), true);
+          
+          // Playing or not based on hand presence (velocity from how fast the hand moved)
+          playChord(chord, velocity);
+          
+          // Draw chord name above hand
+          drawChordName(chord, wrist);
+        }
+      }
       
       // Draw visualizations for controls
-      drawReverbVisualization(thumbTip, indexTip, pinchDist);
-      drawVolumeVisualization(thumbTip, middleFinger, fingerDist);
+      drawReverbVisualization(thumbTip, indexTip, reverbLevel);
+      drawVolumeVisualization(thumbTip, middleFinger, volumeLevel);
+      drawXAxisVisualization(wrist, handX, state.harmonyXTarget);
     }
   }
 }
@@ -208,6 +340,8 @@ function processLeftHand(landmarks) {
 function processRightHand(landmarks) {
   state.isRightHandPresent = true;
   state.rightHandLandmarks = landmarks;
+  markHandSeen('right', landmarks);
+  if (landmarks && landmarks.length > 9) updateHandMotion('right', landmarks, getAspectRatio());
   
   if (landmarks && landmarks.length > 8) {
     const wrist = landmarks[0];
@@ -219,47 +353,176 @@ function processRightHand(landmarks) {
       const pinchDist = calculateDistance(thumbTip, indexTip);
       
       // Reverb control with pinch distance
-      setReverb('right', mapPinchToReverb(pinchDist));
+      const reverbLevel = mapPinchToReverb('right', pinchDist);
+      setReverb('right', reverbLevel);
       
       // Volume control with ring and middle fingers
       const middleFinger = landmarks[12];
       const fingerDist = calculateDistance(middleFinger, thumbTip);
-      setVolume('right', mapFingerToVolume(fingerDist));
-      
-      // Get melody note based on hand height
-      const note = getNoteFromPosition(wrist.y, state.selectedScale);
+      const volumeLevel = mapFingerToVolume('right', fingerDist);
+      setVolume('right', volumeLevel);
       
-      // Play the note
-      playMelodyNote(note);
+      // Horizontal position drives the melody hand's X-axis mapping
+      const handX = smoothHandX('right', wrist.x);
+      setHandPosition('right', handX);
       
-      // Draw note name above hand
-      drawNoteName(note, thumbTip);
+      // The melody comes from MIDI input instead of this hand, or stays frozen while held
+      if (!isMidiInputPlaying('melody') && isReleaseGesture('melody', landmarks)) {
+        // A fist releases a latched melody
+        stopMelody();
+      } else if (!isMidiInputPlaying('melody') && !isPartHeld('melody')) {
+        if (state.melodyFingers) {
+          // Each extended finger plays its own note from its fingertip's height
+          const fingerNotes = getFingerNotes('right', landmarks, 0);
+          if (fingerNotes.length > 0) {
+            const velocity = state.velocitySensitive ? getMotionVelocity('right') : undefined;
+            playMelodyNotes(fingerNotes.map(({ midi }) => getNoteFromMidi(midi)), velocity);
+          } else {
+            stopMelody();
+          }
+          drawFingerNotes(fingerNotes, landmarks, 'magenta');
+        } else if (state.melodyMode === 'continuous') {
+          // Pitch follows the hand height, pulled toward the nearest scale tone
+          const pitch = getPitchFromPosition(getCalibratedY('right', wrist.y), state.selectedScale, state.scalePull);
+          playMelodyPitch(pitch, state.velocitySensitive ? getMotionVelocity('right') : undefined);
+          drawNoteName(`${pitch.note} ${formatCents(pitch.cents)}`, thumbTip);
+        } else {
+          // Get melody note based on hand height
+          const note = getNoteFromPosition(getCalibratedY('right', wrist.y), state.selectedScale, true);
+          
+          // Play the note (velocity from how fast the hand moved into it)
+          playMelodyNote(note, state.velocitySensitive ? getMotionVelocity('right') : undefined);
+          
+          // Draw note name above hand
+          drawNoteName(note, thumbTip);
+        }
+        
+        // Tilt bends the melody, a quick shake adds vibrato
+        if (state.pitchBendEnabled) {
+          const { roll, bend, vibrato } = updateHandRoll(landmarks, getAspectRatio());
+          setMelodyBend(bend, vibrato);
+          // Sampled sounds don't bend, so only MIDI output hears it
+          if (canMelodyBend()) drawBendVisualization(wrist, roll, bend, vibrato);
+        }
+      }
       
       // Draw visualizations for controls
-      drawReverbVisualization(thumbTip, indexTip, pinchDist, 'rgba(255, 0, 255, 0.8)');
-      drawVolumeVisualization(thumbTip, middleFinger, fingerDist, 'rgb(0, 255, 100)');
+      drawReverbVisualization(thumbTip, indexTip, reverbLevel, 'rgba(255, 0, 255, 0.8)');
+      drawVolumeVisualization(thumbTip, middleFinger, volumeLevel, 'rgb(0, 255, 100)');
+      drawXAxisVisualization(wrist, handX, state.melodyXTarget);
     }
   }
 }
 
 /**
- * Map pinch distance to reverb amount (inverted)
+ * Keep a hand that dropped out of this frame present at its last known position
+ * Its notes and controls are left as they were; it is drawn faded
+ * @param {string} hand - 'left' or 'right'
+ * @returns {boolean} True if the hand is being bridged
+ */
+function bridgeDropout(hand) {
+  const landmarks = getBridgedLandmarks(hand);
+  if (!landmarks) return false;
+  
+  if (hand === 'left') {
+    state.isLeftHandPresent = true;
+    state.leftHandLandmarks = landmarks;
+  } else {
+    state.isRightHandPresent = true;
+    state.rightHandLandmarks = landmarks;
+  }
+  
+  const color = hand === 'left' ? 'rgba(231, 150, 0, 0.3)' : 'rgba(0, 255, 200, 0.3)';
+  drawConnectors(canvasCtx, landmarks, HAND_CONNECTIONS, { color: color, lineWidth: 10 });
+  drawLandmarks(canvasCtx, landmarks, { color: color, lineWidth: 3, radius: 4 });
+  return true;
+}
+
+/**
+ * Map pinch distance to reverb amount (inverted), within the hand's calibrated range
+ * @param {string} hand - 'left' or 'right'
  * @param {number} pinchDist - Distance between thumb and index finger
  * @returns {number} Reverb wet level (0.0-1.0)
  */
-function mapPinchToReverb(pinchDist) {
-  let wetLevel = (pinchDist - MIN_PINCH_DIST) / (MAX_PINCH_DIST - MIN_PINCH_DIST);
-  return Math.max(0, Math.min(wetLevel, 1)); // Clamp between 0 and 1
+function mapPinchToReverb(hand, pinchDist) {
+  return getPinchAmount(hand, pinchDist);
 }
 
 /**
- * Map finger distance to volume level
+ * Get one note per extended finger from the fingertips' heights
+ * Fingers landing on the same note share it
+ * @param {string} hand - 'left' or 'right' (for its calibrated reach)
+ * @param {Array} landmarks - MediaPipe hand landmarks
+ * @param {number} transpose - Semitones added to every note
+ * @returns {Array<Object>} Notes as { finger, midi }, thumb first
+ */
+function getFingerNotes(hand, landmarks, transpose) {
+  const fingers = getFingerStates(landmarks);
+  const fingerNotes = [];
+  
+  const part = hand === 'left' ? 'harmony' : 'melody';
+  
+  Object.entries(FINGERTIPS).forEach(([finger, tip]) => {
+    // Each fingertip keeps its own zone so jitter at a boundary doesn't flicker its note
+    const zoneKey = `${part}:${finger}`;
+    if (!fingers[finger]) {
+      resetZone(zoneKey);
+      return;
+    }
+    const midi = getMidiFromPosition(getCalibratedY(hand, landmarks[tip].y), state.selectedScale, zoneKey) + transpose;
+    if (!fingerNotes.some(other => other.midi === midi)) fingerNotes.push({ finger, midi });
+  });
+  
+  return fingerNotes;
+}
+
+/**
+ * Draw each finger's note above its fingertip
+ * @param {Array<Object>} fingerNotes - Notes as { finger, midi }
+ * @param {Array} landmarks - MediaPipe hand landmarks
+ * @param {string} color - Text color
+ */
+function drawFingerNotes(fingerNotes, landmarks, color) {
+  canvasCtx.font = 'bold 18px Arial';
+  canvasCtx.fillStyle = color;
+  
+  fingerNotes.forEach(({ finger, midi }) => {
+    const tip = landmarks[FINGERTIPS[finger]];
+    canvasCtx.fillText(getNoteFromMidi(midi),
+      (tip.x * canvasElement.width) - 12,
+      (tip.y * canvasElement.height) - 15);
+  });
+}
+
+/**
+ * Get the canvas aspect ratio, so hand geometry is not squashed
+ * @returns {number} Width / height
+ */
+function getAspectRatio() {
+  return canvasElement.width / canvasElement.height;
+}
+
+/**
+ * Smooth a hand's horizontal position, flip it to the player's view and fit it to the hand's reach
+ * @param {string} hand - 'left' or 'right'
+ * @param {number} x - Wrist x in the camera image (0.0-1.0)
+ * @returns {number} Smoothed position, 0.0 at the player's left to 1.0 at their right
+ */
+function smoothHandX(hand, x) {
+  // The view is mirrored, so the image's left edge is the player's right
+  const position = getCalibratedX(hand, 1 - x);
+  smoothedX[hand] = smoothedX[hand] === null ? position : lerp(smoothedX[hand], position, X_SMOOTHING);
+  return smoothedX[hand];
+}
+
+/**
+ * Map finger distance to volume level, within the hand's calibrated range
+ * @param {string} hand - 'left' or 'right'
  * @param {number} fingerDist - Distance between thumb and middle finger
  * @returns {number} Volume level (0.0-1.0)
  */
-function mapFingerToVolume(fingerDist) {
-  let volume = (fingerDist - MIN_PINCH_DIST) / (MAX_PINCH_DIST - MIN_PINCH_DIST);
-  return Math.max(0, Math.min(volume, 1)); // Clamp between 0 and 1
+function mapFingerToVolume(hand, fingerDist) {
+  return getSpreadAmount(hand, fingerDist);
 }
 
 /**
@@ -292,12 +555,10 @@ function drawNoteName(note, thumbTip) {
  * Draw reverb visualization between thumb and index finger
  * @param {Object} thumbTip - Thumb position
  * @param {Object} indexTip - Index finger position
- * @param {number} pinchDist - Distance between fingers
+ * @param {number} reverbLevel - Reverb level shown (0.0-1.0)
  * @param {string} color - Stroke color (default: yellow)
  */
-function drawReverbVisualization(thumbTip, indexTip, pinchDist, color = 'rgb(255, 230, 0)') {
-  const reverbLevel = mapPinchToReverb(pinchDist);
-  
+function drawReverbVisualization(thumbTip, indexTip, reverbLevel, color = 'rgb(255, 230, 0)') {
   // Draw circle for reverb level
   canvasCtx.beginPath();
   canvasCtx.arc(
@@ -321,12 +582,10 @@ function drawReverbVisualization(thumbTip, indexTip, pinchDist, color = 'rgb(255
  * Draw volume visualization between thumb and middle finger
  * @param {Object} thumbTip - Thumb position
  * @param {Object} middleFinger - Middle finger position
- * @param {number} fingerDist - Distance between fingers
+ * @param {number} volumeLevel - Volume level shown (0.0-1.0)
  * @param {string} color - Stroke color (default: green)
  */
-function drawVolumeVisualization(thumbTip, middleFinger, fingerDist, color = 'rgb(0, 255, 100)') {
-  const volumeLevel = mapFingerToVolume(fingerDist);
-  
+function drawVolumeVisualization(thumbTip, middleFinger, volumeLevel, color = 'rgb(0, 255, 100)') {
   // Draw circle for volume level
   canvasCtx.beginPath();
   canvasCtx.arc(
@@ -346,6 +605,81 @@ function drawVolumeVisualization(thumbTip, middleFinger, fingerDist, color = 'rg
   canvasCtx.stroke();
 }
 
+/**
+ * Draw a hand's horizontal position as a slider under the wrist
+ * @param {Object} wrist - Wrist position
+ * @param {number} position - Smoothed position (0.0 = player's left, 1.0 = right)
+ * @param {string} target - What the position controls: 'filter', 'pan' or 'off'
+ */
+function drawXAxisVisualization(wrist, position, target) {
+  if (target === 'off') return;
+  
+  const x = wrist.x * canvasElement.width;
+  const y = wrist.y * canvasElement.height + 45;
+  const halfWidth = 50;
+  
+  // Track (the canvas is mirrored, so the player's right is the image's left)
+  canvasCtx.beginPath();
+  canvasCtx.moveTo(x - halfWidth, y);
+  canvasCtx.lineTo(x + halfWidth, y);
+  canvasCtx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+  canvasCtx.lineWidth = 4;
+  canvasCtx.stroke();
+  
+  // Marker: filled bar from the left for the filter, a dot around the centre for pan
+  const markerX = x + (1 - position * 2) * halfWidth;
+  canvasCtx.beginPath();
+  if (target === 'filter') {
+    canvasCtx.moveTo(x + halfWidth, y);
+    canvasCtx.lineTo(markerX, y);
+    canvasCtx.strokeStyle = 'rgb(255, 170, 0)';
+    canvasCtx.lineWidth = 6;
+    canvasCtx.stroke();
+  } else {
+    canvasCtx.arc(markerX, y, 7, 0, Math.PI * 2);
+    canvasCtx.fillStyle = 'rgb(120, 160, 255)';
+    canvasCtx.fill();
+  }
+}
+
+/**
+ * Draw the melody hand's tilt as a gauge at the wrist, with the bend and vibrato
+ * @param {Object} wrist - Wrist position
+ * @param {number} roll - Hand roll in degrees
+ * @param {number} bend - Pitch bend in cents
+ * @param {number} vibrato - Vibrato depth in cents
+ */
+function drawBendVisualization(wrist, roll, bend, vibrato) {
+  const x = wrist.x * canvasElement.width;
+  const y = wrist.y * canvasElement.height;
+  const radius = 60;
+  
+  // Gauge: 45 degrees either side of upright (mirrored like the rest of the canvas)
+  canvasCtx.beginPath();
+  canvasCtx.arc(x, y, radius, -Math.PI / 2 - Math.PI / 4, -Math.PI / 2 + Math.PI / 4);
+  canvasCtx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+  canvasCtx.lineWidth = 3;
+  canvasCtx.stroke();
+  
+  // Needle along the hand, wobbling with the vibrato depth
+  const angle = -Math.PI / 2 - roll * Math.PI / 180;
+  const wobble = Math.sin(performance.now() / 30) * Math.min(vibrato, 100) / 10;
+  canvasCtx.beginPath();
+  canvasCtx.moveTo(x, y);
+  canvasCtx.lineTo(
+    x + Math.cos(angle) * radius + Math.sin(angle) * wobble,
+    y + Math.sin(angle) * radius - Math.cos(angle) * wobble
+  );
+  canvasCtx.strokeStyle = bend === 0 ? 'rgba(255, 255, 255, 0.6)' : 'rgb(0, 200, 255)';
+  canvasCtx.lineWidth = 4;
+  canvasCtx.stroke();
+  
+  canvasCtx.font = 'bold 16px Arial';
+  canvasCtx.fillStyle = 'rgb(0, 200, 255)';
+  const label = vibrato > 1 ? `${formatCents(Math.round(bend))} ~${Math.round(vibrato)}¢` : formatCents(Math.round(bend));
+  canvasCtx.fillText(label, x - 25, y + 30);
+}
+
 export default {
   setupHandTracking
 };
\ No newline at end of file
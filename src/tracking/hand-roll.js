@@ -0,0 +1,130 @@
+/**
+ * Hand roll tracking for HandSynth
+ * Turns the tilt of the melody hand into pitch bend, and a small fast shake of it into vibrato
+ */
+
+import { state } from '../config.js';
+import { clamp, lerp } from '../utils/math.js';
+
+// Tilt in degrees ignored around upright, so a relaxed hand stays in tune
+const DEAD_ZONE = 8;
+
+// Tilt in degrees that bends by the full range
+const FULL_TILT = 45;
+
+// Smoothing of the tilt that drives the bend (0-1, higher follows faster)
+const BEND_SMOOTHING = 0.3;
+
+// Smoothing of the slow average a shake is measured against
+const BASELINE_SMOOTHING = 0.08;
+
+// Time in ms a shake is measured over
+const SHAKE_WINDOW = 500;
+
+// Shake size (RMS degrees) where vibrato starts and where it reaches full depth
+const SHAKE_MIN = 1.5;
+const SHAKE_MAX = 6;
+
+// Direction changes needed within the window for movement to count as a shake
+const SHAKE_MIN_REVERSALS = 2;
+
+// Tracking state
+let smoothedRoll = null;
+let baselineRoll = null;
+let shakeHistory = [];
+let vibratoAmount = 0;
+
+/**
+ * Get the roll of a hand from its wrist, index knuckle and pinky knuckle
+ * 0 is upright; positive leans to the player's right in the mirrored view
+ * @param {Array} landmarks - MediaPipe hand landmarks
+ * @param {number} aspect - Image width / height, so angles are not squashed
+ * @returns {number} Roll in degrees
+ */
+export function getHandRoll(landmarks, aspect = 1) {
+  const wrist = landmarks[0];
+  const indexBase = landmarks[5];
+  const pinkyBase = landmarks[17];
+
+  const dx = ((indexBase.x + pinkyBase.x) / 2 - wrist.x) * aspect;
+  const dy = (indexBase.y + pinkyBase.y) / 2 - wrist.y;
+
+  // The view is mirrored, so leaning right on screen is a negative x in the image
+  return Math.atan2(-dx, -dy) * 180 / Math.PI;
+}
+
+/**
+ * Count sign changes in the shake history, ignoring jitter around zero
+ * @returns {number} Number of direction changes
+ */
+function countReversals() {
+  let reversals = 0;
+  let lastSign = 0;
+
+  shakeHistory.forEach(({ deviation }) => {
+    if (Math.abs(deviation) < SHAKE_MIN / 2) return;
+    const sign = Math.sign(deviation);
+    if (lastSign !== 0 && sign !== lastSign) reversals++;
+    lastSign = sign;
+  });
+
+  return reversals;
+}
+
+/**
+ * Update the bend and vibrato from the melody hand (call once per frame)
+ * @param {Array} landmarks - MediaPipe hand landmarks
+ * @param {number} aspect - Image width / height
+ * @returns {Object} { roll (degrees), bend (cents), vibrato (depth in cents) }
+ */
+export function updateHandRoll(landmarks, aspect = 1) {
+  const roll = getHandRoll(landmarks, aspect);
+  const now = performance.now();
+
+  if (smoothedRoll === null) {
+    smoothedRoll = roll;
+    baselineRoll = roll;
+  }
+  smoothedRoll = lerp(smoothedRoll, roll, BEND_SMOOTHING);
+  baselineRoll = lerp(baselineRoll, roll, BASELINE_SMOOTHING);
+
+  // Shake: fast movement around the slow average
+  shakeHistory.push({ time: now, deviation: roll - baselineRoll });
+  shakeHistory = shakeHistory.filter(entry => now - entry.time <= SHAKE_WINDOW);
+
+  const rms = Math.sqrt(
+    shakeHistory.reduce((sum, { deviation }) => sum + deviation * deviation, 0) / shakeHistory.length
+  );
+  const target = countReversals() >= SHAKE_MIN_REVERSALS
+    ? clamp((rms - SHAKE_MIN) / (SHAKE_MAX - SHAKE_MIN), 0, 1)
+    : 0;
+
+  // Vibrato comes in quickly and fades out gently
+  vibratoAmount = lerp(vibratoAmount, target, target > vibratoAmount ? 0.5 : 0.1);
+
+  // While shaking, bend from the slow average so the shake is not heard twice
+  const tilt = lerp(smoothedRoll, baselineRoll, vibratoAmount);
+  const amount = clamp((Math.abs(tilt) - DEAD_ZONE) / (FULL_TILT - DEAD_ZONE), 0, 1);
+
+  return {
+    roll: smoothedRoll,
+    bend: Math.sign(tilt) * amount * state.pitchBendRange * 100,
+    vibrato: vibratoAmount * state.vibratoDepth
+  };
+}
+
+/**
+ * Forget the tracked hand (when it leaves the frame or bending is turned off)
+ */
+export function resetHandRoll() {
+  smoothedRoll = null;
+  baselineRoll = null;
+  shakeHistory = [];
+  vibratoAmount = 0;
+}
+
+export default {
+  getHandRoll,
+  updateHandRoll,
+  resetHandRoll
+};
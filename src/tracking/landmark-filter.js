@@ -0,0 +1,119 @@
+/**
+ * Landmark smoothing for HandSynth
+ * Runs every landmark of each hand through a One Euro filter: an adaptive low-pass
+ * that smooths heavily while the hand is still (removing jitter) and lightly while
+ * it moves fast (keeping lag low). See Casiez et al., "1€ Filter", CHI 2012.
+ */
+
+import { state } from '../config.js';
+import { lerp } from '../utils/math.js';
+
+// Cutoff at rest in Hz for the weakest and strongest smoothing
+const MIN_CUTOFF_WEAK = 6;
+const MIN_CUTOFF_STRONG = 0.4;
+
+// How much speed (screen heights per second) raises the cutoff
+const BETA = 4;
+
+// Cutoff for the speed estimate in Hz
+const DERIVATIVE_CUTOFF = 1;
+
+// Longest gap between frames treated as continuous motion (seconds)
+const MAX_FRAME_GAP = 0.25;
+
+// Filters per hand: one per landmark and axis (null until the hand is seen)
+const filters = {
+  left: null,
+  right: null
+};
+
+// Time of each hand's last filtered frame
+const lastTimes = {
+  left: 0,
+  right: 0
+};
+
+/**
+ * Smoothing factor of a first-order low-pass for a cutoff and time step
+ * @param {number} cutoff - Cutoff frequency in Hz
+ * @param {number} dt - Time step in seconds
+ * @returns {number} Smoothing factor (0-1)
+ */
+function getAlpha(cutoff, dt) {
+  const tau = 1 / (2 * Math.PI * cutoff);
+  return 1 / (1 + tau / dt);
+}
+
+/**
+ * Create a One Euro filter for a single value
+ * @returns {Object} { filter(value, dt, minCutoff) }
+ */
+function createOneEuroFilter() {
+  let previous = null;
+  let speed = 0;
+
+  return {
+    filter(value, dt, minCutoff) {
+      if (previous === null) {
+        previous = value;
+        return value;
+      }
+
+      // Estimate the speed, then open the cutoff up as the value moves faster
+      speed = lerp(speed, (value - previous) / dt, getAlpha(DERIVATIVE_CUTOFF, dt));
+      const cutoff = minCutoff + BETA * Math.abs(speed);
+
+      previous = lerp(previous, value, getAlpha(cutoff, dt));
+      return previous;
+    }
+  };
+}
+
+/**
+ * Smooth a hand's landmarks
+ * @param {string} hand - 'left' or 'right'
+ * @param {Array} landmarks - MediaPipe hand landmarks
+ * @returns {Array} Smoothed landmarks (the input itself when smoothing is off)
+ */
+export function filterLandmarks(hand, landmarks) {
+  if (!landmarks || state.landmarkSmoothing <= 0) {
+    resetLandmarkFilter(hand);
+    return landmarks;
+  }
+
+  const now = performance.now() / 1000;
+  const dt = now - lastTimes[hand];
+  lastTimes[hand] = now;
+
+  // Start over after a long gap (or the first frame), rather than sweeping in from the old position
+  if (!filters[hand] || filters[hand].length !== landmarks.length || dt <= 0 || dt > MAX_FRAME_GAP) {
+    filters[hand] = landmarks.map(() => ({
+      x: createOneEuroFilter(),
+      y: createOneEuroFilter(),
+      z: createOneEuroFilter()
+    }));
+  }
+
+  const minCutoff = lerp(MIN_CUTOFF_WEAK, MIN_CUTOFF_STRONG, state.landmarkSmoothing);
+  const step = Math.min(Math.max(dt, 0.001), MAX_FRAME_GAP);
+
+  return landmarks.map((landmark, i) => ({
+    ...landmark,
+    x: filters[hand][i].x.filter(landmark.x, step, minCutoff),
+    y: filters[hand][i].y.filter(landmark.y, step, minCutoff),
+    z: filters[hand][i].z.filter(landmark.z || 0, step, minCutoff)
+  }));
+}
+
+/**
+ * Forget a hand's filter state (e.g. when the hand leaves)
+ * @param {string} hand - 'left' or 'right'
+ */
+export function resetLandmarkFilter(hand) {
+  filters[hand] = null;
+}
+
+export default {
+  filterLandmarks,
+  resetLandmarkFilter
+};
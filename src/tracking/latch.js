@@ -0,0 +1,145 @@
+/**
+ * Latch and hold modes for HandSynth
+ * Lets a hand's notes keep sounding after the hand leaves the frame:
+ *  - 'latch': the last notes sound until the hand makes a fist
+ *  - 'hold': a key (Space) freezes the notes, sostenuto-style, until it is pressed again
+ */
+
+import { state } from '../config.js';
+import { recognizeGesture } from '../utils/hand-utils.js';
+import { showMessage } from '../ui/messages.js';
+
+// Key that toggles the hold
+export const HOLD_KEY = ' ';
+
+// Parts frozen by the hold key
+const held = {
+  melody: false,
+  harmony: false
+};
+
+// Called when the hold changes (e.g. to refresh the note display)
+const changeListeners = [];
+
+// Guard against registering the key listener twice
+let listening = false;
+
+/**
+ * Get the latch mode of a part
+ * @param {string} part - 'melody' or 'harmony'
+ * @returns {string} 'off', 'latch' or 'hold'
+ */
+export function getLatchMode(part) {
+  return part === 'melody' ? state.melodyLatch : state.chordLatch;
+}
+
+/**
+ * Set the latch mode of a part (a running hold is let go)
+ * @param {string} part - 'melody' or 'harmony'
+ * @param {string} mode - 'off', 'latch' or 'hold'
+ */
+export function setLatchMode(part, mode) {
+  if (part === 'melody') {
+    state.melodyLatch = mode;
+  } else {
+    state.chordLatch = mode;
+  }
+
+  if (held[part]) {
+    held[part] = false;
+    notifyChange();
+  }
+}
+
+/**
+ * Listen for hold changes
+ * @param {Function} listener - Called with no arguments
+ */
+export function onLatchChange(listener) {
+  changeListeners.push(listener);
+}
+
+/**
+ * Notify listeners that the hold changed
+ */
+function notifyChange() {
+  changeListeners.forEach(listener => listener());
+}
+
+/**
+ * Check whether a part's notes are frozen by the hold key
+ * The hand neither changes nor stops them while frozen
+ * @param {string} part - 'melody' or 'harmony'
+ * @returns {boolean} True while held
+ */
+export function isPartHeld(part) {
+  return held[part];
+}
+
+/**
+ * Check whether a part should keep sounding without its hand
+ * @param {string} part - 'melody' or 'harmony'
+ * @returns {boolean} True if the hand leaving must not stop the notes
+ */
+export function keepsSounding(part) {
+  const mode = getLatchMode(part);
+  return mode === 'latch' || (mode === 'hold' && held[part]);
+}
+
+/**
+ * Check whether a latched hand is making its release gesture (a fist)
+ * @param {string} part - 'melody' or 'harmony'
+ * @param {Array} landmarks - MediaPipe hand landmarks
+ * @returns {boolean} True if the notes should be released
+ */
+export function isReleaseGesture(part, landmarks) {
+  return getLatchMode(part) === 'latch' && recognizeGesture(landmarks).name === 'fist';
+}
+
+/**
+ * Toggle the hold of every part in 'hold' mode
+ * Releasing it lets the hand take over again (or stops the notes if the hand is gone)
+ */
+export function toggleHold() {
+  const parts = ['melody', 'harmony'].filter(part => getLatchMode(part) === 'hold');
+  if (parts.length === 0) {
+    showMessage('Set a hand to Hold in the Hands panel first');
+    return;
+  }
+
+  const engage = parts.some(part => !held[part]);
+  parts.forEach(part => {
+    held[part] = engage;
+  });
+
+  showMessage(engage ? 'Hold on' : 'Hold off');
+  notifyChange();
+}
+
+/**
+ * Toggle the hold with the hold key (ignored while typing in a field)
+ */
+export function setupLatchKeys() {
+  if (listening) return;
+  listening = true;
+
+  window.addEventListener('keydown', (event) => {
+    if (event.key !== HOLD_KEY || event.repeat) return;
+    if (event.target.closest && event.target.closest('input, select, textarea, button')) return;
+
+    event.preventDefault();
+    toggleHold();
+  });
+}
+
+export default {
+  HOLD_KEY,
+  getLatchMode,
+  setLatchMode,
+  onLatchChange,
+  isPartHeld,
+  keepsSounding,
+  isReleaseGesture,
+  toggleHold,
+  setupLatchKeys
+};
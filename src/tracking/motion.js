@@ -0,0 +1,103 @@
+/**
+ * Hand motion tracking for HandSynth
+ * Measures how fast each hand moves so notes can be played with dynamics
+ */
+
+import { state } from '../config.js';
+import { calculateDistance, clamp } from '../utils/math.js';
+
+// Time in ms of motion considered when a note starts
+const MOTION_WINDOW = 150;
+
+// Hand speeds (image heights per second) for the softest and the hardest notes
+const SLOW_SPEED = 0.15;
+const FAST_SPEED = 2.5;
+
+// Weight of moving toward the camera (relative growth of the hand per second)
+const DEPTH_WEIGHT = 0.8;
+
+// Recent samples per hand: { time, x, y, size }
+const history = {
+  left: [],
+  right: []
+};
+
+/**
+ * Record a hand's position (call once per frame)
+ * Landmark z is relative to the wrist, so movement toward the camera is
+ * measured from how fast the hand grows in the image
+ * @param {string} hand - 'left' or 'right'
+ * @param {Array} landmarks - MediaPipe hand landmarks
+ * @param {number} aspect - Image width / height
+ */
+export function updateHandMotion(hand, landmarks, aspect = 1) {
+  const now = performance.now();
+  const wrist = landmarks[0];
+
+  history[hand].push({
+    time: now,
+    x: wrist.x * aspect,
+    y: wrist.y,
+    size: calculateDistance(wrist, landmarks[9])
+  });
+  history[hand] = history[hand].filter(sample => now - sample.time <= MOTION_WINDOW);
+}
+
+/**
+ * Forget a hand's motion (when it leaves the frame)
+ * @param {string} hand - 'left' or 'right'
+ */
+export function resetHandMotion(hand) {
+  history[hand] = [];
+}
+
+/**
+ * Get the fastest recent speed of a hand
+ * @param {string} hand - 'left' or 'right'
+ * @returns {number} Speed in image heights per second (depth weighted in)
+ */
+export function getHandSpeed(hand) {
+  const samples = history[hand];
+  let peak = 0;
+
+  for (let i = 1; i < samples.length; i++) {
+    const previous = samples[i - 1];
+    const sample = samples[i];
+    const seconds = (sample.time - previous.time) / 1000;
+    if (seconds <= 0) continue;
+
+    const planar = Math.hypot(sample.x - previous.x, sample.y - previous.y) / seconds;
+    const approach = previous.size > 0 ? Math.max(0, sample.size / previous.size - 1) / seconds : 0;
+    peak = Math.max(peak, planar, approach * DEPTH_WEIGHT);
+  }
+
+  return peak;
+}
+
+/**
+ * Shape a 0-1 amount with the user's velocity curve and range
+ * @param {number} amount - Normalized motion (0.0 to 1.0)
+ * @returns {number} Velocity (0.0 to 1.0)
+ */
+export function applyVelocityCurve(amount) {
+  const shaped = Math.pow(clamp(amount, 0, 1), state.velocityCurve);
+  return state.velocityMin + (state.velocityMax - state.velocityMin) * shaped;
+}
+
+/**
+ * Get the velocity for a note a hand is starting, from how fast it moved into it
+ * @param {string} hand - 'left' or 'right'
+ * @returns {number} Velocity (0.0 to 1.0)
+ */
+export function getMotionVelocity(hand) {
+  const amount = (getHandSpeed(hand) - SLOW_SPEED) / (FAST_SPEED - SLOW_SPEED);
+  return applyVelocityCurve(amount);
+}
+
+export default {
+  updateHandMotion,
+  resetHandMotion,
+  getHandSpeed,
+  applyVelocityCurve,
+  getMotionVelocity
+};
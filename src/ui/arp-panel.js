@@ -0,0 +1,106 @@
+/**
+ * Arpeggiator panel for HandSynth
+ * Pattern, rate, octave range and gate for the chord hand's arpeggiator
+ */
+
+import { state } from '../config.js';
+import { setArpeggiatorEnabled } from '../audio/synth.js';
+import { arpPatterns, arpRates, updateArpeggiatorRate } from '../audio/arpeggiator.js';
+import { registerGestureAction } from '../tracking/gesture-triggers.js';
+import { showMessage } from './messages.js';
+import {
+  createPanel, togglePanel, getToolbar, createSection,
+  createButton, createSelect, createSlider, createCheckbox
+} from './widgets.js';
+
+// Panel element id
+const PANEL_ID = 'arp-panel';
+
+// UI elements
+let toolbarButton, enabledInput;
+
+/**
+ * Create the arpeggiator panel, its toolbar button and its gesture action
+ */
+export function createArpPanel() {
+  const { body } = createPanel(PANEL_ID, 'Arpeggiator');
+
+  toolbarButton = createButton('Arp', () => togglePanel(PANEL_ID), 'ui-button-small');
+  toolbarButton.title = 'Arpeggiate the chord hand';
+  getToolbar().appendChild(toolbarButton);
+
+  const section = createSection('Chord hand');
+
+  const enabledRow = createCheckbox({
+    label: 'Arpeggiate chords',
+    checked: state.arpEnabled,
+    onChange: setEnabled
+  });
+  enabledInput = enabledRow.querySelector('input');
+  section.appendChild(enabledRow);
+
+  section.appendChild(createSelect({
+    label: 'Pattern',
+    options: Object.entries(arpPatterns).map(([value, label]) => ({ value, label })),
+    value: state.arpPattern,
+    onChange: value => {
+      state.arpPattern = value;
+    }
+  }));
+
+  section.appendChild(createSelect({
+    label: 'Rate',
+    options: Object.entries(arpRates).map(([value, label]) => ({ value, label })),
+    value: state.arpRate,
+    onChange: value => {
+      state.arpRate = value;
+      updateArpeggiatorRate();
+    }
+  }));
+
+  section.appendChild(createSlider({
+    label: 'Octaves',
+    min: 1,
+    max: 4,
+    step: 1,
+    value: state.arpOctaves,
+    onInput: value => {
+      state.arpOctaves = value;
+    }
+  }));
+
+  section.appendChild(createSlider({
+    label: 'Gate',
+    min: 0.1,
+    max: 0.95,
+    step: 0.05,
+    value: state.arpGate,
+    format: value => `${Math.round(value * 100)}%`,
+    onInput: value => {
+      state.arpGate = value;
+    }
+  }));
+
+  body.appendChild(section);
+
+  registerGestureAction('arp-toggle', 'Arpeggiator: on / off', () => {
+    setEnabled(!state.arpEnabled);
+    showMessage(state.arpEnabled ? 'Arpeggiator on' : 'Arpeggiator off');
+  });
+
+  toolbarButton.classList.toggle('active', state.arpEnabled);
+}
+
+/**
+ * Turn the arpeggiator on or off and reflect it in the UI
+ * @param {boolean} enabled - True to arpeggiate
+ */
+function setEnabled(enabled) {
+  setArpeggiatorEnabled(enabled);
+  enabledInput.checked = enabled;
+  toolbarButton.classList.toggle('active', enabled);
+}
+
+export default {
+  createArpPanel
+};
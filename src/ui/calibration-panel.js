@@ -0,0 +1,171 @@
+/**
+ * Calibration panel for HandSynth
+ * Walks the player through reaching their comfortable extents and opening and pinching their fingers
+ */
+
+import {
+  calibrationSteps,
+  isHandCalibrated,
+  isCalibrating,
+  startCalibration,
+  startCalibrationStep,
+  endCalibrationStep,
+  finishCalibration,
+  cancelCalibration,
+  resetCalibration
+} from '../tracking/calibration.js';
+import { showMessage } from './messages.js';
+import { createPanel, togglePanel, getToolbar, createSection, createButton } from './widgets.js';
+
+// Panel element id
+const PANEL_ID = 'calibration-panel';
+
+// Time to get into each pose, and time the pose is recorded for (milliseconds)
+const PREPARE_TIME = 2500;
+const RECORD_TIME = 1500;
+
+// Hand names as the player knows them
+const handNames = {
+  left: 'chord hand',
+  right: 'melody hand'
+};
+
+// Panel elements
+let statusEl, promptEl, startButton, cancelButton, resetButton;
+
+// Incremented to abandon a running wizard
+let session = 0;
+
+/**
+ * Create the calibration panel and its toolbar button
+ */
+export function createCalibrationPanel() {
+  const { body } = createPanel(PANEL_ID, 'Calibration');
+
+  const toolbarButton = createButton('Calibrate', () => togglePanel(PANEL_ID), 'ui-button-small');
+  toolbarButton.title = 'Fit the controls to your reach and hand size';
+  getToolbar().appendChild(toolbarButton);
+
+  const section = createSection('Reach and pinch');
+
+  const note = document.createElement('p');
+  note.className = 'ui-note';
+  note.textContent = 'Follow the prompts with both hands in view. Your comfortable reach then covers every note, chord and left-to-right control, and your own open and pinched fingers cover reverb and volume. Calibration is saved for your account.';
+  section.appendChild(note);
+
+  statusEl = document.createElement('p');
+  statusEl.className = 'ui-note';
+  section.appendChild(statusEl);
+
+  promptEl = document.createElement('p');
+  promptEl.className = 'calibration-prompt';
+  section.appendChild(promptEl);
+
+  const buttonRow = document.createElement('div');
+  buttonRow.className = 'ui-button-row';
+  startButton = createButton('Start', runWizard, 'ui-button-small');
+  cancelButton = createButton('Cancel', stopWizard, 'ui-button-small');
+  resetButton = createButton('Use full frame', () => {
+    resetCalibration();
+    showMessage('Calibration cleared');
+    renderCalibration();
+  }, 'ui-button-small');
+  buttonRow.appendChild(startButton);
+  buttonRow.appendChild(cancelButton);
+  buttonRow.appendChild(resetButton);
+  section.appendChild(buttonRow);
+
+  body.appendChild(section);
+  renderCalibration();
+}
+
+/**
+ * Refresh the status line and buttons
+ */
+function renderCalibration() {
+  const calibrated = ['left', 'right'].filter(isHandCalibrated);
+  statusEl.textContent = calibrated.length === 0
+    ? 'Not calibrated: the full camera frame is used.'
+    : `Calibrated: ${calibrated.map(hand => handNames[hand]).join(' and ')}.`;
+
+  const running = isCalibrating();
+  startButton.disabled = running;
+  cancelButton.disabled = !running;
+  resetButton.disabled = running || calibrated.length === 0;
+  if (!running) promptEl.textContent = '';
+}
+
+/**
+ * Wait, unless the wizard is abandoned in the meantime
+ * @param {number} ms - Milliseconds to wait
+ * @param {number} id - Session the wait belongs to
+ * @returns {Promise<void>} Rejects if the session was abandoned
+ */
+function wait(ms, id) {
+  return new Promise((resolve, reject) => {
+    setTimeout(() => (id === session ? resolve() : reject(new Error('Calibration cancelled'))), ms);
+  });
+}
+
+/**
+ * Run every step of the wizard, then save the result
+ */
+function runWizard() {
+  const id = ++session;
+  startCalibration();
+  renderCalibration();
+
+  const missed = { left: 0, right: 0 };
+
+  const runStep = (step, index) => {
+    promptEl.textContent = `${index + 1}/${calibrationSteps.length}: ${step.prompt}`;
+
+    return wait(PREPARE_TIME, id)
+      .then(() => {
+        promptEl.textContent = `${index + 1}/${calibrationSteps.length}: Hold it…`;
+        startCalibrationStep(step.id);
+        return wait(RECORD_TIME, id);
+      })
+      .then(() => {
+        const frames = endCalibrationStep();
+        if (frames.left === 0) missed.left++;
+        if (frames.right === 0) missed.right++;
+      });
+  };
+
+  calibrationSteps
+    .reduce((chain, step, index) => chain.then(() => runStep(step, index)), Promise.resolve())
+    .then(() => {
+      const result = finishCalibration();
+      const failed = ['left', 'right'].filter(hand => !result[hand]);
+
+      if (failed.length === 0) {
+        showMessage('Calibration saved for both hands', 3000);
+      } else {
+        const reasons = failed.map(hand => `${handNames[hand]} ${missed[hand] > 0 ? 'was not seen' : 'moved too little'}`);
+        showMessage(`Calibration incomplete: the ${reasons.join(' and the ')}; its previous settings are kept`, 5000);
+      }
+      renderCalibration();
+    })
+    .catch(error => {
+      // Cancelled wizards have already been cleaned up
+      if (id !== session) return;
+      console.error("Error calibrating:", error);
+      cancelCalibration();
+      renderCalibration();
+    });
+}
+
+/**
+ * Abandon the running wizard without changing the calibration
+ */
+function stopWizard() {
+  session++;
+  cancelCalibration();
+  showMessage('Calibration cancelled');
+  renderCalibration();
+}
+
+export default {
+  createCalibrationPanel
+};
@@ -3,9 +3,26 @@
  * Creates and manages UI elements
  */
 
-import { state, notes, scales, soundPresets } from '../config.js';
+import { state, notes, scales } from '../config.js';
+import { formatCents } from '../audio/music-theory.js';
 import { setupAudio, updateSynths } from '../audio/synth.js';
+import { getPresetNames } from '../audio/presets.js';
 import { showMessage } from './messages.js';
+import { createPresetEditor, openPresetEditor } from './preset-editor.js';
+import { setupSampleDrop } from './sample-drop.js';
+import { createRecordControls } from './record-controls.js';
+import { createTransportControls } from './transport-controls.js';
+import { setMetronomeEnabled, startCountIn } from '../audio/metronome.js';
+import { createMidiPanel } from './midi-panel.js';
+import { createLooperPanel } from './looper-panel.js';
+import { createArpPanel } from './arp-panel.js';
+import { createPitchPanel } from './pitch-panel.js';
+import { createHandsPanel } from './hands-panel.js';
+import { createDrumPanel } from './drum-panel.js';
+import { createGesturePanel } from './gesture-panel.js';
+import { createCalibrationPanel } from './calibration-panel.js';
+import { setupLatchKeys, onLatchChange, isPartHeld } from '../tracking/latch.js';
+import { createButton } from './widgets.js';
 import { createNoteMarkers, updateNoteMarkers, createVisualKeyboard, updateVisualKeyboard } from '../visual/keyboard.js';
 
 /**
@@ -42,18 +59,14 @@ export function createUI() {
     scaleSelector.appendChild(option);
   });
   
-  // Sound selector
-  const soundSelector = document.createElement('select');
-  soundSelector.className = 'ui-select';
-  soundSelector.id = 'sound-select';
+  // Sound selectors - one preset per hand
+  const melodySoundSelector = document.createElement('select');
+  melodySoundSelector.className = 'ui-select';
+  melodySoundSelector.id = 'melody-sound-select';
   
-  Object.keys(soundPresets).forEach(sound => {
-    const option = document.createElement('option');
-    option.value = sound;
-    option.textContent = sound.charAt(0).toUpperCase() + sound.slice(1);
-    if (sound === state.selectedSound) option.selected = true;
-    soundSelector.appendChild(option);
-  });
+  const harmonySoundSelector = document.createElement('select');
+  harmonySoundSelector.className = 'ui-select';
+  harmonySoundSelector.id = 'harmony-sound-select';
   
   // Octave selector
   const octaveSelector = document.createElement('select');
@@ -84,7 +97,36 @@ export function createUI() {
   uiContainer.appendChild(createLabeledControl('Root Note:', rootSelector));
   uiContainer.appendChild(createLabeledControl('Scale:', scaleSelector));
   uiContainer.appendChild(createLabeledControl('Octave:', octaveSelector));
-  uiContainer.appendChild(createLabeledControl('Sound:', soundSelector));
+  // Sound selectors get an edit button that opens the preset editor
+  const createSoundRow = (selector, part) => {
+    const row = document.createElement('div');
+    row.className = 'ui-select-row';
+    row.appendChild(selector);
+    
+    const editButton = createButton('Edit', () => openPresetEditor(part), 'ui-button-small');
+    editButton.title = 'Edit this sound';
+    row.appendChild(editButton);
+    return row;
+  };
+  
+  uiContainer.appendChild(createLabeledControl('Melody Sound:', createSoundRow(melodySoundSelector, 'melody')));
+  uiContainer.appendChild(createLabeledControl('Chord Sound:', createSoundRow(harmonySoundSelector, 'harmony')));
+  
+  refreshSoundSelectors();
+  createPresetEditor(refreshSoundSelectors);
+  setupSampleDrop(refreshSoundSelectors);
+  setupLatchKeys();
+  onLatchChange(updateNoteDisplay);
+  createTransportControls();
+  createRecordControls();
+  createMidiPanel();
+  createLooperPanel();
+  createHandsPanel();
+  createCalibrationPanel();
+  createPitchPanel();
+  createArpPanel();
+  createDrumPanel();
+  createGesturePanel();
   
   // Add title to the app
   const titleElement = document.createElement('div');
@@ -108,8 +150,13 @@ export function createUI() {
     updateUI();
   });
   
-  soundSelector.addEventListener('change', function() {
-    state.selectedSound = this.value;
+  melodySoundSelector.addEventListener('change', function() {
+    state.melodySound = this.value;
+    updateSynths();
+  });
+  
+  harmonySoundSelector.addEventListener('change', function() {
+    state.harmonySound = this.value;
     updateSynths();
   });
   
@@ -120,17 +167,56 @@ export function createUI() {
   document.body.appendChild(noteEl);
 }
 
+/**
+ * Fill the sound selectors with built-in and user presets
+ */
+export function refreshSoundSelectors() {
+  const { builtIn, user, session } = getPresetNames();
+  
+  const fillSelector = (selector, selectedSound) => {
+    if (!selector) return;
+    selector.innerHTML = '';
+    
+    const addOptions = (parent, names) => {
+      names.forEach(sound => {
+        const option = document.createElement('option');
+        option.value = sound;
+        option.textContent = sound.charAt(0).toUpperCase() + sound.slice(1);
+        if (sound === selectedSound) option.selected = true;
+        parent.appendChild(option);
+      });
+    };
+    
+    addOptions(selector, builtIn);
+    
+    const addGroup = (label, names) => {
+      if (names.length === 0) return;
+      const group = document.createElement('optgroup');
+      group.label = label;
+      addOptions(group, names);
+      selector.appendChild(group);
+    };
+    
+    addGroup('User Presets', user);
+    addGroup('Dropped Samples', session);
+  };
+  
+  fillSelector(document.getElementById('melody-sound-select'), state.melodySound);
+  fillSelector(document.getElementById('harmony-sound-select'), state.harmonySound);
+}
+
 /**
  * Add prominent start audio button
  * @param {boolean} forceShow - Force showing the button even if it already exists
  */
 export function addStartAudioButton(forceShow = false) {
   // Check if button already exists
-  let startButton = document.querySelector('button');
+  let startButton = document.getElementById('start-audio-button');
   if (startButton && !forceShow) return;
   
   // Create the button
   startButton = document.createElement('button');
+  startButton.id = 'start-audio-button';
   startButton.textContent = 'Start Audio';
   startButton.style.position = 'fixed';
   startButton.style.top = '50%';
@@ -160,6 +246,12 @@ export function addStartAudioButton(forceShow = false) {
           // Set up audio system
           setupAudio();
           
+          // Metronome and count-in run on the new context's transport
+          setMetronomeEnabled(state.metronomeEnabled);
+          if (state.countInBars > 0) {
+            startCountIn(state.countInBars, () => showMessage('Play!'));
+          }
+          
           // Hide instructions
           updateInstructions();
         }).catch(error => {
@@ -196,11 +288,21 @@ export function updateNoteDisplay() {
   
   if (state.currentChord && state.leftHandIsPlaying) {
     displayText += `Chord: ${state.currentChord.name}`;
+    if (isPartHeld('harmony')) displayText += ' (held)';
   }
   
   if (state.currentMelodyNote && state.rightHandIsPlaying) {
     if (displayText) displayText += ' | ';
-    displayText += `Note: ${state.currentMelodyNote}`;
+    displayText += state.currentMelodyNotes.length > 1
+      ? `Notes: ${state.currentMelodyNotes.join(' ')}`
+      : `Note: ${state.currentMelodyNote}`;
+    
+    // Continuous mode shows how far the pitch sits from the named note
+    if (state.melodyMode === 'continuous') {
+      displayText += ` ${formatCents(state.melodyCents)}`;
+    }
+    
+    if (isPartHeld('melody')) displayText += ' (held)';
   }
   
   if (!displayText) {
@@ -232,7 +334,7 @@ export function updateInstructions() {
     <p>Left hand: Plays harmony/chords</p>
     <p>Pinch gesture: Controls reverb</p>
     <p>Ring & middle fingers: Control volume</p>
-    <p>Select scale and sound from the UI</p>
+    <p>Select scale and a sound for each hand from the UI</p>
     <p>Click 'Start Audio' to start</p>
   `;
   
@@ -248,5 +350,6 @@ export default {
   addStartAudioButton,
   updateUI,
   updateNoteDisplay,
-  updateInstructions
+  updateInstructions,
+  refreshSoundSelectors
 };
\ No newline at end of file
@@ -0,0 +1,153 @@
+/**
+ * Drum machine panel for HandSynth
+ * Play/stop, pattern slots and a step grid per drum voice
+ */
+
+import { state } from '../config.js';
+import {
+  DRUM_VOICES, DRUM_STEPS, onDrumStep, onDrumsChange, toggleDrums, isDrumsPlaying,
+  selectDrumPattern, nextDrumPattern, getDrumPatternCount, getDrumPattern,
+  toggleDrumStep, clearDrumPattern, resetDrumPattern, setDrumVolume
+} from '../audio/drums.js';
+import { registerGestureAction } from '../tracking/gesture-triggers.js';
+import { showMessage } from './messages.js';
+import {
+  createPanel, togglePanel, getToolbar, createSection, createButton, createSlider
+} from './widgets.js';
+
+// Panel element id
+const PANEL_ID = 'drum-panel';
+
+// UI elements
+let toolbarButton, playButton, slotRow, grid;
+
+/**
+ * Create the drum panel, its toolbar button and its gesture actions
+ */
+export function createDrumPanel() {
+  const { body } = createPanel(PANEL_ID, 'Drums');
+
+  toolbarButton = createButton('Drums', () => togglePanel(PANEL_ID), 'ui-button-small');
+  toolbarButton.title = 'Drum machine';
+  getToolbar().appendChild(toolbarButton);
+
+  // Transport and slots
+  const patternSection = createSection('Pattern');
+
+  const buttonRow = document.createElement('div');
+  buttonRow.className = 'ui-button-row';
+  playButton = createButton('▶ Play', playOrStop, 'ui-button-small');
+  buttonRow.appendChild(playButton);
+  patternSection.appendChild(buttonRow);
+
+  slotRow = document.createElement('div');
+  slotRow.className = 'ui-button-row';
+  for (let i = 0; i < getDrumPatternCount(); i++) {
+    slotRow.appendChild(createButton(String(i + 1), () => selectDrumPattern(i), 'ui-button-small'));
+  }
+  patternSection.appendChild(slotRow);
+
+  grid = document.createElement('div');
+  grid.className = 'drum-grid';
+  patternSection.appendChild(grid);
+
+  const editRow = document.createElement('div');
+  editRow.className = 'ui-button-row';
+  editRow.appendChild(createButton('Clear', clearDrumPattern, 'ui-button-small'));
+  editRow.appendChild(createButton('Reset', resetDrumPattern, 'ui-button-small'));
+  patternSection.appendChild(editRow);
+
+  body.appendChild(patternSection);
+
+  // Level
+  const mixSection = createSection('Mix');
+  mixSection.appendChild(createSlider({
+    label: 'Volume',
+    min: 0,
+    max: 1,
+    step: 0.01,
+    value: state.drumVolume,
+    format: value => `${Math.round(value * 100)}%`,
+    onInput: setDrumVolume
+  }));
+  body.appendChild(mixSection);
+
+  registerGestureAction('drums-toggle', 'Drums: start / stop', playOrStop, 'left:call');
+  registerGestureAction('drums-next', 'Drums: next pattern', () => {
+    nextDrumPattern();
+    showMessage(`Drum pattern ${state.drumPattern + 1}`);
+  });
+  for (let i = 0; i < getDrumPatternCount(); i++) {
+    registerGestureAction(`drums-pattern-${i + 1}`, `Drums: pattern ${i + 1}`, () => selectDrumPattern(i));
+  }
+
+  onDrumsChange(renderDrums);
+  onDrumStep(showStep);
+  renderDrums();
+}
+
+/**
+ * Start or stop the drums
+ */
+function playOrStop() {
+  if (!state.audioStarted) {
+    showMessage('Start audio before playing drums');
+    return;
+  }
+  toggleDrums();
+}
+
+/**
+ * Refresh the play button, slot buttons and step grid
+ */
+function renderDrums() {
+  const playing = isDrumsPlaying();
+  playButton.textContent = playing ? '■ Stop' : '▶ Play';
+  playButton.classList.toggle('active', playing);
+  toolbarButton.classList.toggle('active', playing);
+
+  Array.from(slotRow.children).forEach((button, i) => {
+    button.classList.toggle('active', i === state.drumPattern);
+  });
+
+  const pattern = getDrumPattern(state.drumPattern);
+  grid.innerHTML = '';
+  DRUM_VOICES.forEach(voice => {
+    const row = document.createElement('div');
+    row.className = 'drum-row';
+
+    const label = document.createElement('span');
+    label.className = 'drum-label';
+    label.textContent = voice;
+    row.appendChild(label);
+
+    for (let step = 0; step < DRUM_STEPS; step++) {
+      const cell = document.createElement('button');
+      cell.type = 'button';
+      cell.className = 'drum-step' + (step % 4 === 0 ? ' beat' : '') + (pattern[voice][step] ? ' on' : '');
+      cell.dataset.step = step;
+      cell.addEventListener('click', () => {
+        cell.classList.toggle('on', toggleDrumStep(voice, step));
+      });
+      row.appendChild(cell);
+    }
+
+    grid.appendChild(row);
+  });
+
+  if (!playing) showStep(-1);
+}
+
+/**
+ * Highlight the step that is sounding
+ * @param {number} step - Step index (-1 for none)
+ */
+function showStep(step) {
+  grid.querySelectorAll('.drum-step').forEach(cell => {
+    cell.classList.toggle('playing', Number(cell.dataset.step) === step);
+  });
+}
+
+export default {
+  createDrumPanel
+};
@@ -0,0 +1,80 @@
+/**
+ * Gestures panel for HandSynth
+ * Binds registered actions (looper and others) to hand gestures
+ */
+
+import {
+  triggerGestures, getGestureActions, getGestureBinding, setGestureBinding, isGestureReserved
+} from '../tracking/gesture-triggers.js';
+import { showMessage } from './messages.js';
+import { createPanel, togglePanel, getToolbar, createSection, createButton, createSelect } from './widgets.js';
+
+// Panel element id
+const PANEL_ID = 'gesture-panel';
+
+// Panel body, filled when opened so actions registered later are listed
+let panelBody = null;
+
+/**
+ * Create the gestures panel and its toolbar button
+ */
+export function createGesturePanel() {
+  panelBody = createPanel(PANEL_ID, 'Gestures').body;
+
+  const toolbarButton = createButton('Gestures', openGesturePanel, 'ui-button-small');
+  toolbarButton.title = 'Bind actions to hand gestures';
+  getToolbar().appendChild(toolbarButton);
+}
+
+/**
+ * Open or close the panel, listing the current actions
+ */
+function openGesturePanel() {
+  renderBindings();
+  togglePanel(PANEL_ID);
+}
+
+/**
+ * Build a select per action
+ */
+function renderBindings() {
+  panelBody.innerHTML = '';
+
+  const section = createSection('Actions');
+
+  const note = document.createElement('p');
+  note.className = 'ui-note';
+  note.textContent = 'Hold a gesture for a moment to run its action. The left hand plays chords, the right hand the melody. A fist on a latched hand releases the latch instead.';
+  section.appendChild(note);
+
+  const options = [{ value: '', label: 'Off' }];
+  ['left', 'right'].forEach(hand => {
+    Object.entries(triggerGestures).forEach(([gesture, label]) => {
+      const reserved = isGestureReserved(hand, gesture) ? ' (releases latch)' : '';
+      options.push({ value: `${hand}:${gesture}`, label: `${hand === 'left' ? 'Left' : 'Right'} hand: ${label}${reserved}` });
+    });
+  });
+
+  getGestureActions().forEach(action => {
+    section.appendChild(createSelect({
+      label: action.label,
+      options,
+      value: getGestureBinding(action.id),
+      onChange: value => {
+        const [hand, gesture] = value.split(':');
+        if (value && isGestureReserved(hand, gesture)) {
+          showMessage(`A fist releases the latched ${hand === 'left' ? 'chord' : 'melody'} hand; pick another gesture or turn its latch off`, 4000);
+          renderBindings();
+          return;
+        }
+        setGestureBinding(action.id, value);
+      }
+    }));
+  });
+
+  panelBody.appendChild(section);
+}
+
+export default {
+  createGesturePanel
+};
@@ -0,0 +1,252 @@
+/**
+ * Hands panel for HandSynth
+ * Finger play, latching, what each hand's horizontal position controls, how hand speed sets velocity,
+ * and how tracking is smoothed and its dropouts bridged
+ */
+
+import { state } from '../config.js';
+import { setXAxisTarget, setFingerMode } from '../audio/synth.js';
+import { setLatchMode } from '../tracking/latch.js';
+import { getDropoutStats, resetDropoutStats } from '../tracking/dropout.js';
+import {
+  createPanel, togglePanel, getToolbar, createSection,
+  createButton, createSelect, createSlider, createCheckbox
+} from './widgets.js';
+
+// Panel element id
+const PANEL_ID = 'hands-panel';
+
+// Dropout readout (refreshed while the panel is open)
+let dropoutReadout = null;
+
+// Horizontal position targets
+const xAxisTargets = {
+  filter: 'Filter cutoff',
+  pan: 'Stereo pan',
+  off: 'Nothing'
+};
+
+// What happens to a hand's notes when it leaves the frame
+const latchModes = {
+  off: 'Stop',
+  latch: 'Latch until a fist',
+  hold: 'Hold with Space'
+};
+
+/**
+ * Create the hands panel and its toolbar button
+ */
+export function createHandsPanel() {
+  const { body } = createPanel(PANEL_ID, 'Hands');
+
+  const toolbarButton = createButton('Hands', openHandsPanel, 'ui-button-small');
+  toolbarButton.title = 'Hand position mappings';
+  getToolbar().appendChild(toolbarButton);
+
+  const fingers = createSection('Finger play');
+
+  fingers.appendChild(createCheckbox({
+    label: 'Melody hand: one note per finger',
+    checked: state.melodyFingers,
+    onChange: checked => setFingerMode('melody', checked)
+  }));
+
+  fingers.appendChild(createCheckbox({
+    label: 'Chord hand: one note per finger',
+    checked: state.chordFingers,
+    onChange: checked => setFingerMode('harmony', checked)
+  }));
+
+  const fingersNote = document.createElement('p');
+  fingersNote.className = 'ui-note';
+  fingersNote.textContent = 'Each extended finger sounds the note at its fingertip\'s height; curl it to release. Gesture triggers are off for that hand.';
+  fingers.appendChild(fingersNote);
+
+  body.appendChild(fingers);
+
+  const latch = createSection('When a hand leaves');
+  const latchOptions = Object.entries(latchModes).map(([value, label]) => ({ value, label }));
+
+  latch.appendChild(createSelect({
+    label: 'Melody hand',
+    options: latchOptions,
+    value: state.melodyLatch,
+    onChange: value => setLatchMode('melody', value)
+  }));
+
+  latch.appendChild(createSelect({
+    label: 'Chord hand',
+    options: latchOptions,
+    value: state.chordLatch,
+    onChange: value => setLatchMode('harmony', value)
+  }));
+
+  const latchNote = document.createElement('p');
+  latchNote.className = 'ui-note';
+  latchNote.textContent = 'Latch keeps the last notes sounding after the hand leaves; make a fist to release them (a fist bound in the Gestures panel is ignored on that hand meanwhile). Hold freezes the notes when you press Space, so the hand is free until you press it again.';
+  latch.appendChild(latchNote);
+
+  body.appendChild(latch);
+
+  const section = createSection('Left to right');
+  const options = Object.entries(xAxisTargets).map(([value, label]) => ({ value, label }));
+
+  section.appendChild(createSelect({
+    label: 'Melody hand',
+    options,
+    value: state.melodyXTarget,
+    onChange: value => setXAxisTarget('melody', value)
+  }));
+
+  section.appendChild(createSelect({
+    label: 'Chord hand',
+    options,
+    value: state.harmonyXTarget,
+    onChange: value => setXAxisTarget('harmony', value)
+  }));
+
+  body.appendChild(section);
+
+  const dynamics = createSection('Dynamics');
+
+  dynamics.appendChild(createCheckbox({
+    label: 'Velocity from hand speed',
+    checked: state.velocitySensitive,
+    onChange: checked => {
+      state.velocitySensitive = checked;
+    }
+  }));
+
+  dynamics.appendChild(createSlider({
+    label: 'Curve',
+    min: 0.3,
+    max: 3,
+    step: 0.1,
+    value: state.velocityCurve,
+    format: value => value < 1 ? `light ${value}` : value > 1 ? `heavy ${value}` : 'linear',
+    onInput: value => {
+      state.velocityCurve = value;
+    }
+  }));
+
+  dynamics.appendChild(createSlider({
+    label: 'Softest',
+    min: 0.05,
+    max: 1,
+    step: 0.05,
+    value: state.velocityMin,
+    format: value => String(Math.round(value * 127)),
+    onInput: value => {
+      state.velocityMin = value;
+    }
+  }));
+
+  dynamics.appendChild(createSlider({
+    label: 'Hardest',
+    min: 0.05,
+    max: 1,
+    step: 0.05,
+    value: state.velocityMax,
+    format: value => String(Math.round(value * 127)),
+    onInput: value => {
+      state.velocityMax = value;
+    }
+  }));
+
+  body.appendChild(dynamics);
+
+  const tracking = createSection('Tracking');
+
+  tracking.appendChild(createSlider({
+    label: 'Smoothing',
+    min: 0,
+    max: 1,
+    step: 0.05,
+    value: state.landmarkSmoothing,
+    format: value => value === 0 ? 'off' : `${Math.round(value * 100)}%`,
+    onInput: value => {
+      state.landmarkSmoothing = value;
+    }
+  }));
+
+  tracking.appendChild(createSlider({
+    label: 'Note stickiness',
+    min: 0,
+    max: 0.45,
+    step: 0.05,
+    value: state.zoneHysteresis,
+    format: value => value === 0 ? 'off' : `${Math.round(value * 100)}%`,
+    onInput: value => {
+      state.zoneHysteresis = value;
+    }
+  }));
+
+  const smoothingNote = document.createElement('p');
+  smoothingNote.className = 'ui-note';
+  smoothingNote.textContent = 'Smoothing filters out tracking jitter while the hand is still and lets fast moves through. Stickiness is how far past a note or chord\'s edge the hand must go before it changes, so notes do not flicker at a boundary.';
+  tracking.appendChild(smoothingNote);
+
+  tracking.appendChild(createSlider({
+    label: 'Grace period',
+    min: 0,
+    max: 500,
+    step: 10,
+    value: state.dropoutHold,
+    format: value => value === 0 ? 'off' : `${value} ms`,
+    onInput: value => {
+      state.dropoutHold = value;
+    }
+  }));
+
+  const trackingNote = document.createElement('p');
+  trackingNote.className = 'ui-note';
+  trackingNote.textContent = 'A hand lost for less than this stays where it was last seen, so a dropped camera frame does not cut its notes.';
+  tracking.appendChild(trackingNote);
+
+  dropoutReadout = document.createElement('p');
+  dropoutReadout.className = 'ui-note';
+  tracking.appendChild(dropoutReadout);
+
+  const buttonRow = document.createElement('div');
+  buttonRow.className = 'ui-button-row';
+  buttonRow.appendChild(createButton('Reset count', () => {
+    resetDropoutStats();
+    updateDropoutReadout();
+  }, 'ui-button-small'));
+  tracking.appendChild(buttonRow);
+
+  body.appendChild(tracking);
+  updateDropoutReadout();
+}
+
+/**
+ * Open or close the panel
+ */
+function openHandsPanel() {
+  togglePanel(PANEL_ID);
+  requestAnimationFrame(refreshDropoutReadout);
+}
+
+/**
+ * Show how many dropouts were bridged per hand
+ */
+function updateDropoutReadout() {
+  const stats = getDropoutStats();
+  const describe = ({ bridged, frames }) => `${bridged} (${frames} ${frames === 1 ? 'frame' : 'frames'})`;
+  dropoutReadout.textContent = `Dropouts bridged: melody hand ${describe(stats.right)}, chord hand ${describe(stats.left)}`;
+}
+
+/**
+ * Keep the dropout readout current while the panel is open
+ */
+function refreshDropoutReadout() {
+  const panel = document.getElementById(PANEL_ID);
+  if (!panel || panel.style.display === 'none') return;
+
+  updateDropoutReadout();
+  requestAnimationFrame(refreshDropoutReadout);
+}
+
+export default {
+  createHandsPanel
+};
@@ -0,0 +1,157 @@
+/**
+ * Looper panel for HandSynth
+ * Record and overdub layers from either hand, with undo, mute and clear
+ */
+
+import { state } from '../config.js';
+import {
+  onLooperChange, toggleLoopRecording, undoLoopLayer, clearLoopLayer, clearLoops,
+  setLoopLayerMuted, getLoopLayers, getLoopRecordingPart, getLoopLength, getLoopPosition
+} from '../audio/looper.js';
+import { registerGestureAction } from '../tracking/gesture-triggers.js';
+import {
+  createPanel, togglePanel, getToolbar, createSection, createButton, createSelect
+} from './widgets.js';
+
+// Panel element id
+const PANEL_ID = 'looper-panel';
+
+// Part labels
+const PART_LABELS = {
+  melody: 'Melody',
+  harmony: 'Chords'
+};
+
+// UI elements
+let toolbarButton, recordButton, undoButton, statusEl, progressFill, layerList;
+
+/**
+ * Create the looper panel, its toolbar button and its gesture actions
+ */
+export function createLooperPanel() {
+  const { body } = createPanel(PANEL_ID, 'Looper');
+
+  toolbarButton = createButton('Loop', openLooperPanel, 'ui-button-small');
+  toolbarButton.title = 'Record and overdub loops';
+  getToolbar().appendChild(toolbarButton);
+
+  // Recording
+  const recordSection = createSection('Record');
+
+  recordSection.appendChild(createSelect({
+    label: 'Record from',
+    options: [
+      { value: 'melody', label: 'Melody (right hand)' },
+      { value: 'harmony', label: 'Chords (left hand)' }
+    ],
+    value: state.loopRecordPart,
+    onChange: value => {
+      state.loopRecordPart = value;
+    }
+  }));
+
+  const buttonRow = document.createElement('div');
+  buttonRow.className = 'ui-button-row';
+  recordButton = createButton('● Record', () => toggleLoopRecording(), 'ui-button-small');
+  undoButton = createButton('Undo', undoLoopLayer, 'ui-button-small');
+  buttonRow.appendChild(recordButton);
+  buttonRow.appendChild(undoButton);
+  buttonRow.appendChild(createButton('Clear all', clearLoops, 'ui-button-small'));
+  recordSection.appendChild(buttonRow);
+
+  statusEl = document.createElement('p');
+  statusEl.className = 'ui-note looper-status';
+  recordSection.appendChild(statusEl);
+
+  const progress = document.createElement('div');
+  progress.className = 'looper-progress';
+  progressFill = document.createElement('div');
+  progressFill.className = 'looper-progress-fill';
+  progress.appendChild(progressFill);
+  recordSection.appendChild(progress);
+
+  body.appendChild(recordSection);
+
+  // Layers
+  const layerSection = createSection('Layers');
+  layerList = document.createElement('div');
+  layerList.className = 'looper-layers';
+  layerSection.appendChild(layerList);
+  body.appendChild(layerSection);
+
+  registerGestureAction('loop-record', 'Looper: record / stop layer', () => toggleLoopRecording(), 'left:peace');
+  registerGestureAction('loop-undo', 'Looper: undo last layer', undoLoopLayer);
+  registerGestureAction('loop-clear', 'Looper: clear all layers', clearLoops);
+
+  onLooperChange(renderLooper);
+  renderLooper();
+}
+
+/**
+ * Open or close the panel
+ */
+function openLooperPanel() {
+  togglePanel(PANEL_ID);
+  requestAnimationFrame(updateProgress);
+}
+
+/**
+ * Refresh buttons, status and the layer list
+ */
+function renderLooper() {
+  const recordingPart = getLoopRecordingPart();
+  const layers = getLoopLayers();
+  const loopLength = getLoopLength();
+
+  recordButton.textContent = recordingPart ? '■ Stop' : (loopLength ? '● Overdub' : '● Record');
+  recordButton.classList.toggle('active', !!recordingPart);
+  toolbarButton.classList.toggle('active', !!recordingPart);
+  undoButton.disabled = !recordingPart && layers.length === 0;
+
+  if (recordingPart) {
+    statusEl.textContent = `Recording ${PART_LABELS[recordingPart].toLowerCase()}...`;
+  } else if (loopLength) {
+    statusEl.textContent = `Loop ${loopLength.toFixed(2)}s, ${layers.length} layer${layers.length === 1 ? '' : 's'}`;
+  } else {
+    statusEl.textContent = 'Record a first layer to set the loop length.';
+  }
+
+  layerList.innerHTML = '';
+  layers.forEach((layer, index) => {
+    const row = document.createElement('div');
+    row.className = 'looper-layer' + (layer.muted ? ' muted' : '');
+
+    const name = document.createElement('span');
+    name.className = 'looper-layer-name';
+    name.textContent = `${index + 1}. ${PART_LABELS[layer.part]} (${layer.noteCount} notes)`;
+
+    const muteButton = createButton(layer.muted ? 'Unmute' : 'Mute', () => {
+      setLoopLayerMuted(layer.id, !layer.muted);
+    }, 'ui-button-small');
+
+    const clearButton = createButton('Clear', () => clearLoopLayer(layer.id), 'ui-button-small');
+
+    row.appendChild(name);
+    row.appendChild(muteButton);
+    row.appendChild(clearButton);
+    layerList.appendChild(row);
+  });
+}
+
+/**
+ * Move the progress bar while the panel is open
+ */
+function updateProgress() {
+  const panel = document.getElementById(PANEL_ID);
+  if (!panel || panel.style.display === 'none') return;
+
+  const loopLength = getLoopLength();
+  const percent = loopLength ? Math.min(1, getLoopPosition() / loopLength) * 100 : 0;
+  progressFill.style.width = `${percent}%`;
+
+  requestAnimationFrame(updateProgress);
+}
+
+export default {
+  createLooperPanel
+};
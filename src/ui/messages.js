@@ -101,6 +101,7 @@ export function showMessage(message, duration = 2000) {
     
     // Create message text
     const textEl = document.createElement('div');
+    textEl.className = 'loading-text';
     textEl.textContent = message;
     textEl.style.marginTop = '20px';
     textEl.style.fontSize = '24px';
@@ -114,6 +115,16 @@ export function showMessage(message, duration = 2000) {
     return loadingEl;
   }
   
+  /**
+   * Update the text of a loading message (e.g. to show progress)
+   * @param {Object} loadingEl - The loading element returned by showLoading
+   * @param {string} message - New message text
+   */
+  export function updateLoading(loadingEl, message) {
+    const textEl = loadingEl && loadingEl.querySelector('.loading-text');
+    if (textEl) textEl.textContent = message;
+  }
+  
   /**
    * Hide a loading message
    * @param {Object} loadingEl - The loading element to remove
@@ -136,5 +147,6 @@ export function showMessage(message, duration = 2000) {
   export default {
     showMessage,
     showLoading,
+    updateLoading,
     hideLoading
   };
\ No newline at end of file
@@ -0,0 +1,189 @@
+/**
+ * MIDI settings panel for HandSynth
+ * Output port, per-hand channels and muting of the built-in synths,
+ * plus an input port that plays one of the voices in place of a hand
+ */
+
+import { state } from '../config.js';
+import { setInternalSynthsMuted } from '../audio/synth.js';
+import { isMidiSupported } from '../midi/midi-access.js';
+import { getMidiOutputs, setMidiOutput, releaseMidiNotes } from '../midi/midi-output.js';
+import { getMidiInputs, setMidiInput, setMidiInputRole } from '../midi/midi-input.js';
+import { showMessage } from './messages.js';
+import {
+  createPanel, togglePanel, getToolbar, createSection,
+  createButton, createSelect, createCheckbox
+} from './widgets.js';
+
+// Panel element id
+const PANEL_ID = 'midi-panel';
+
+// MIDI channels offered in the channel selects
+const CHANNELS = Array.from({ length: 16 }, (_, i) => i + 1);
+
+// Port selects
+let outputSelect = null;
+let inputSelect = null;
+
+/**
+ * Create the MIDI panel and its toolbar button
+ */
+export function createMidiPanel() {
+  const { body } = createPanel(PANEL_ID, 'MIDI');
+
+  const toolbarButton = createButton('MIDI', openMidiPanel, 'ui-button-small');
+  toolbarButton.title = 'MIDI input and output settings';
+  getToolbar().appendChild(toolbarButton);
+
+  if (!isMidiSupported()) {
+    const note = document.createElement('p');
+    note.className = 'ui-note';
+    note.textContent = 'Web MIDI is not available in this browser.';
+    body.appendChild(note);
+    return;
+  }
+
+  // Output
+  const outputSection = createSection('Output');
+
+  const outputRow = createSelect({
+    label: 'Port',
+    options: [{ value: '', label: 'Off' }],
+    value: '',
+    onChange: selectOutput
+  });
+  outputSelect = outputRow.querySelector('select');
+  outputSection.appendChild(outputRow);
+
+  outputSection.appendChild(createSelect({
+    label: 'Melody ch.',
+    options: CHANNELS,
+    value: state.melodyMidiChannel,
+    onChange: value => {
+      releaseMidiNotes('melody');
+      state.melodyMidiChannel = parseInt(value, 10);
+    }
+  }));
+
+  outputSection.appendChild(createSelect({
+    label: 'Chord ch.',
+    options: CHANNELS,
+    value: state.harmonyMidiChannel,
+    onChange: value => {
+      releaseMidiNotes('harmony');
+      state.harmonyMidiChannel = parseInt(value, 10);
+    }
+  }));
+
+  outputSection.appendChild(createCheckbox({
+    label: 'Mute built-in synths',
+    checked: state.muteInternalSynths,
+    onChange: setInternalSynthsMuted
+  }));
+
+  body.appendChild(outputSection);
+
+  // Input
+  const inputSection = createSection('Input');
+
+  const inputRow = createSelect({
+    label: 'Port',
+    options: [{ value: '', label: 'Off' }],
+    value: '',
+    onChange: selectInput
+  });
+  inputSelect = inputRow.querySelector('select');
+  inputSection.appendChild(inputRow);
+
+  inputSection.appendChild(createSelect({
+    label: 'Plays',
+    options: [
+      { value: 'harmony', label: 'Chords (camera plays melody)' },
+      { value: 'melody', label: 'Melody (camera plays chords)' }
+    ],
+    value: state.midiInputRole,
+    onChange: setMidiInputRole
+  }));
+
+  inputSection.appendChild(createSelect({
+    label: 'Channel',
+    options: [{ value: 0, label: 'All' }, ...CHANNELS],
+    value: state.midiInputChannel,
+    onChange: value => {
+      state.midiInputChannel = parseInt(value, 10);
+    }
+  }));
+
+  body.appendChild(inputSection);
+}
+
+/**
+ * Open or close the panel, refreshing the port lists when opening
+ */
+function openMidiPanel() {
+  togglePanel(PANEL_ID);
+  if (!outputSelect) return;
+
+  Promise.all([getMidiOutputs(), getMidiInputs()])
+    .then(([outputs, inputs]) => {
+      fillPortSelect(outputSelect, outputs, state.midiOutputId);
+      fillPortSelect(inputSelect, inputs, state.midiInputId);
+    })
+    .catch(error => {
+      console.error("Error listing MIDI ports:", error);
+      showMessage("MIDI unavailable: " + error.message, 3000);
+    });
+}
+
+/**
+ * Fill a port select with 'Off' and the given ports
+ * @param {HTMLSelectElement} select - Port select
+ * @param {Array} ports - Ports as { id, name }
+ * @param {string|null} selectedId - Currently selected port id
+ */
+function fillPortSelect(select, ports, selectedId) {
+  select.innerHTML = '';
+  [{ id: '', name: 'Off' }, ...ports].forEach(port => {
+    const option = document.createElement('option');
+    option.value = port.id;
+    option.textContent = port.name;
+    select.appendChild(option);
+  });
+  select.value = ports.some(port => port.id === selectedId) ? selectedId : '';
+}
+
+/**
+ * Switch the output port
+ * @param {string} id - Port id ('' for off)
+ */
+function selectOutput(id) {
+  setMidiOutput(id)
+    .then(() => {
+      if (id) showMessage(`MIDI out: ${outputSelect.selectedOptions[0].textContent}`);
+    })
+    .catch(error => {
+      console.error("Error selecting MIDI output:", error);
+      showMessage("Could not open MIDI output: " + error.message, 3000);
+      outputSelect.value = '';
+    });
+}
+
+/**
+ * Switch the input port
+ * @param {string} id - Port id ('' for off)
+ */
+function selectInput(id) {
+  setMidiInput(id)
+    .then(() => {
+      if (id) showMessage(`MIDI in: ${inputSelect.selectedOptions[0].textContent}`);
+    })
+    .catch(error => {
+      console.error("Error selecting MIDI input:", error);
+      showMessage("Could not open MIDI input: " + error.message, 3000);
+      inputSelect.value = '';
+    });
+}
+
+export default {
+  createMidiPanel
+};
@@ -0,0 +1,254 @@
+/**
+ * Pitch panel for HandSynth
+ * Stepped or continuous (theremin-style) pitch for the melody hand, tilt bend and vibrato,
+ * and the tuning both hands play in
+ */
+
+import { state } from '../config.js';
+import { stopMelody, setMelodyBend, retuneSynths } from '../audio/synth.js';
+import {
+  getTunings, getKeyboardMappings, setTuning, setKeyboardMapping, importScalaFile, removeImportedTuning
+} from '../audio/tuning.js';
+import { resetHandRoll } from '../tracking/hand-roll.js';
+import { updateNoteDisplay } from './controls.js';
+import { showMessage } from './messages.js';
+import { readFileAsText } from '../utils/files.js';
+import {
+  createPanel, togglePanel, getToolbar, createSection,
+  createButton, createSelect, createSlider, createCheckbox
+} from './widgets.js';
+
+// Panel element id
+const PANEL_ID = 'pitch-panel';
+
+// Melody pitch modes
+const melodyModes = {
+  stepped: 'Stepped (scale notes)',
+  continuous: 'Continuous (glide)'
+};
+
+// UI elements
+let toolbarButton, continuousControls, tuningSection;
+
+/**
+ * Create the pitch panel and its toolbar button
+ */
+export function createPitchPanel() {
+  const { body } = createPanel(PANEL_ID, 'Pitch');
+
+  toolbarButton = createButton('Pitch', () => togglePanel(PANEL_ID), 'ui-button-small');
+  toolbarButton.title = 'How the melody hand maps to pitch';
+  getToolbar().appendChild(toolbarButton);
+
+  const section = createSection('Melody hand');
+
+  section.appendChild(createSelect({
+    label: 'Mode',
+    options: Object.entries(melodyModes).map(([value, label]) => ({ value, label })),
+    value: state.melodyMode,
+    onChange: setMelodyMode
+  }));
+
+  continuousControls = document.createElement('div');
+
+  continuousControls.appendChild(createSlider({
+    label: 'Scale pull',
+    min: 0,
+    max: 1,
+    step: 0.05,
+    value: state.scalePull,
+    format: value => `${Math.round(value * 100)}%`,
+    onInput: value => {
+      state.scalePull = value;
+    }
+  }));
+
+  continuousControls.appendChild(createSlider({
+    label: 'Glide',
+    min: 0,
+    max: 0.5,
+    step: 0.01,
+    value: state.melodyGlide,
+    format: value => `${Math.round(value * 1000)} ms`,
+    onInput: value => {
+      state.melodyGlide = value;
+    }
+  }));
+
+  section.appendChild(continuousControls);
+  body.appendChild(section);
+
+  const bendSection = createSection('Tilt and shake');
+
+  bendSection.appendChild(createCheckbox({
+    label: 'Tilt to bend, shake for vibrato',
+    checked: state.pitchBendEnabled,
+    onChange: setPitchBendEnabled
+  }));
+
+  const samplerNote = document.createElement('p');
+  samplerNote.className = 'ui-note';
+  samplerNote.textContent = 'Sampled sounds can\'t bend or add vibrato; MIDI output still gets the bend and mod wheel.';
+  bendSection.appendChild(samplerNote);
+
+  bendSection.appendChild(createSlider({
+    label: 'Bend range',
+    min: 1,
+    max: 12,
+    step: 1,
+    value: state.pitchBendRange,
+    format: value => `±${value} st`,
+    onInput: value => {
+      state.pitchBendRange = value;
+    }
+  }));
+
+  bendSection.appendChild(createSlider({
+    label: 'Vibrato',
+    min: 0,
+    max: 100,
+    step: 5,
+    value: state.vibratoDepth,
+    format: value => `${value}¢`,
+    onInput: value => {
+      state.vibratoDepth = value;
+    }
+  }));
+
+  body.appendChild(bendSection);
+
+  tuningSection = createSection('Tuning');
+  body.appendChild(tuningSection);
+  renderTuning();
+
+  updatePitchControls();
+}
+
+/**
+ * Switch the melody hand between stepped and continuous pitch
+ * @param {string} mode - 'stepped' or 'continuous'
+ */
+function setMelodyMode(mode) {
+  if (mode === state.melodyMode) return;
+
+  // Start the next note fresh in the new mode
+  stopMelody();
+  state.melodyMode = mode;
+  updatePitchControls();
+  updateNoteDisplay();
+}
+
+/**
+ * Turn tilt bend and shake vibrato on or off
+ * @param {boolean} enabled - True to follow the hand's roll
+ */
+function setPitchBendEnabled(enabled) {
+  state.pitchBendEnabled = enabled;
+
+  // Start from upright next time, and leave the melody in tune
+  resetHandRoll();
+  setMelodyBend(0, 0);
+  updatePitchControls();
+}
+
+/**
+ * Fill the tuning section (again after files were imported or removed)
+ */
+function renderTuning() {
+  tuningSection.querySelectorAll(':scope > :not(h4)').forEach(element => element.remove());
+
+  const tunings = getTunings();
+  const selected = tunings.find(tuning => tuning.id === state.tuning) || tunings[0];
+
+  tuningSection.appendChild(createSelect({
+    label: 'Tuning',
+    options: tunings.map(tuning => ({ value: tuning.id, label: tuning.imported ? `${tuning.name} (.scl)` : tuning.name })),
+    value: selected.id,
+    onChange: id => {
+      setTuning(id);
+      applyTuning();
+    }
+  }));
+
+  if (selected.hint) {
+    const hint = document.createElement('p');
+    hint.className = 'ui-note';
+    hint.textContent = selected.hint;
+    tuningSection.appendChild(hint);
+  }
+
+  const mappings = getKeyboardMappings();
+  tuningSection.appendChild(createSelect({
+    label: 'Keys',
+    options: [{ value: '', label: 'Tonic on selected root' }]
+      .concat(mappings.map(mapping => ({ value: mapping.id, label: `${mapping.name} (.kbm)` }))),
+    value: state.keyboardMapping || '',
+    onChange: id => {
+      setKeyboardMapping(id || null);
+      applyTuning();
+    }
+  }));
+
+  const fileInput = document.createElement('input');
+  fileInput.type = 'file';
+  fileInput.accept = '.scl,.kbm';
+  fileInput.multiple = true;
+  fileInput.style.display = 'none';
+  fileInput.addEventListener('change', () => {
+    importFiles(Array.from(fileInput.files));
+    fileInput.value = '';
+  });
+
+  const actions = document.createElement('div');
+  actions.className = 'ui-button-row';
+  actions.appendChild(createButton('Import .scl / .kbm', () => fileInput.click(), 'ui-button-small'));
+
+  const removable = [selected.imported && selected.id, state.keyboardMapping].filter(Boolean);
+  if (removable.length > 0) {
+    actions.appendChild(createButton('Remove', () => {
+      removable.forEach(removeImportedTuning);
+      applyTuning();
+    }, 'ui-button-small'));
+  }
+
+  actions.appendChild(fileInput);
+  tuningSection.appendChild(actions);
+}
+
+/**
+ * Import Scala scale and keyboard mapping files
+ * @param {Array<File>} files - Files chosen by the user
+ */
+function importFiles(files) {
+  Promise.all(files.map(file => readFileAsText(file).then(text => importScalaFile(file.name, text))))
+    .then(results => {
+      applyTuning();
+      showMessage(`Loaded ${results.map(result => result.name).join(', ')}`);
+    })
+    .catch(error => {
+      console.error("Error importing tuning:", error);
+      showMessage("Error importing tuning: " + error.message, 4000);
+      renderTuning();
+    });
+}
+
+/**
+ * Let the synths and the panel pick up a new tuning
+ */
+function applyTuning() {
+  retuneSynths();
+  renderTuning();
+}
+
+/**
+ * Show the continuous-mode settings only when they apply
+ */
+function updatePitchControls() {
+  const continuous = state.melodyMode === 'continuous';
+  continuousControls.style.display = continuous ? '' : 'none';
+  toolbarButton.classList.toggle('active', continuous || state.pitchBendEnabled);
+}
+
+export default {
+  createPitchPanel
+};
@@ -0,0 +1,557 @@
+/**
+ * Preset editor for HandSynth
+ * Live editing of sound presets with save, delete, import and export
+ */
+
+import { state, DEFAULT_MELODY_SOUND, DEFAULT_HARMONY_SOUND } from '../config.js';
+import { applyPreset, updateSynths } from '../audio/synth.js';
+import {
+  getPreset,
+  isUserPreset,
+  saveUserPreset,
+  deleteUserPreset,
+  exportPresets,
+  importPresets
+} from '../audio/presets.js';
+import { effectTypes, normalizeEffect, MAX_EFFECT_SLOTS } from '../audio/effects.js';
+import { showMessage } from './messages.js';
+import {
+  createPanel,
+  showPanel,
+  createSection,
+  createButton,
+  createSlider,
+  createSelect,
+  createCheckbox
+} from './widgets.js';
+import { downloadBlob, readFileAsText, toFileName } from '../utils/files.js';
+
+const PANEL_ID = 'preset-editor';
+
+const OSCILLATOR_TYPES = ['sine', 'triangle', 'square', 'sawtooth', 'sine4', 'sine8', 'triangle8', 'sawtooth8'];
+const FILTER_TYPES = ['lowpass', 'highpass', 'bandpass', 'notch'];
+const LFO_TARGETS = ['pitch', 'filter', 'amplitude'];
+const LFO_TYPES = ['sine', 'triangle', 'square', 'sawtooth'];
+const MAX_OSCILLATORS = 4;
+const MAX_LFOS = 3;
+
+// LFO depth range per target (cents, Hz, 0-1)
+const LFO_DEPTH_RANGE = {
+  pitch: { max: 100, step: 1 },
+  filter: { max: 3000, step: 10 },
+  amplitude: { max: 1, step: 0.01 }
+};
+
+// Editor state
+let body = null;
+let editingPart = 'melody';
+let working = null;
+let presetName = '';
+let onPresetsChanged = () => {};
+
+/**
+ * Get the state key holding the sound name for a part
+ * @param {string} part - 'melody' or 'harmony'
+ * @returns {string} State key
+ */
+function soundKey(part) {
+  return part === 'melody' ? 'melodySound' : 'harmonySound';
+}
+
+/**
+ * Create the preset editor panel
+ * @param {Function} onChange - Called when presets are saved, deleted or imported
+ */
+export function createPresetEditor(onChange) {
+  if (onChange) onPresetsChanged = onChange;
+  ({ body } = createPanel(PANEL_ID, 'Sound Editor'));
+}
+
+/**
+ * Open the editor for a hand's current preset
+ * @param {string} part - 'melody' or 'harmony'
+ */
+export function openPresetEditor(part) {
+  if (!body) createPresetEditor();
+
+  editingPart = part;
+  loadWorkingPreset();
+  render();
+  showPanel(PANEL_ID);
+}
+
+/**
+ * Copy the part's selected preset into the editor
+ */
+function loadWorkingPreset() {
+  presetName = state[soundKey(editingPart)];
+  working = getPreset(presetName);
+}
+
+/**
+ * Send the working preset to the synth
+ */
+function preview() {
+  applyPreset(editingPart, working);
+}
+
+/**
+ * Rebuild the editor contents from the working preset
+ */
+function render() {
+  body.innerHTML = '';
+
+  body.appendChild(renderLibrarySection());
+  
+  if (working.type === 'sampler') {
+    body.appendChild(renderSamplerSection());
+  } else {
+    body.appendChild(renderOscillatorSection());
+    body.appendChild(renderEnvelopeSection('Amp Envelope', working.envelope));
+    body.appendChild(renderFilterSection());
+    body.appendChild(renderLfoSection());
+  }
+  
+  body.appendChild(renderEffectsSection());
+  body.appendChild(renderVoiceSection());
+}
+
+/**
+ * Part selector, preset name and library actions
+ */
+function renderLibrarySection() {
+  const section = createSection('Preset');
+
+  section.appendChild(createSelect({
+    label: 'Hand',
+    options: [
+      { value: 'melody', label: 'Melody (right)' },
+      { value: 'harmony', label: 'Chords (left)' }
+    ],
+    value: editingPart,
+    onChange: value => openPresetEditor(value)
+  }));
+
+  const nameRow = document.createElement('label');
+  nameRow.className = 'ui-field';
+  const nameLabel = document.createElement('span');
+  nameLabel.className = 'ui-slider-label';
+  nameLabel.textContent = 'Name';
+  const nameInput = document.createElement('input');
+  nameInput.type = 'text';
+  nameInput.className = 'ui-input';
+  nameInput.value = isUserPreset(presetName) ? presetName : `${presetName} copy`;
+  nameRow.appendChild(nameLabel);
+  nameRow.appendChild(nameInput);
+  section.appendChild(nameRow);
+
+  const actions = document.createElement('div');
+  actions.className = 'ui-button-row';
+
+  actions.appendChild(createButton('Save', () => savePreset(nameInput.value.trim())));
+
+  const deleteButton = createButton('Delete', () => removePreset());
+  deleteButton.disabled = !isUserPreset(presetName);
+  actions.appendChild(deleteButton);
+
+  actions.appendChild(createButton('Revert', () => {
+    loadWorkingPreset();
+    preview();
+    render();
+  }));
+
+  actions.appendChild(createButton('Export', () => {
+    const name = nameInput.value.trim() || presetName;
+    const json = exportPresets({ [name]: working });
+    downloadBlob(new Blob([json], { type: 'application/json' }), `${toFileName(name)}.handsynth.json`);
+  }));
+
+  const fileInput = document.createElement('input');
+  fileInput.type = 'file';
+  fileInput.accept = '.json,application/json';
+  fileInput.style.display = 'none';
+  fileInput.addEventListener('change', () => {
+    if (fileInput.files.length > 0) importFile(fileInput.files[0]);
+    fileInput.value = '';
+  });
+
+  actions.appendChild(createButton('Import', () => fileInput.click()));
+  actions.appendChild(fileInput);
+  section.appendChild(actions);
+
+  return section;
+}
+
+/**
+ * Sample source and attack/release for sampler presets
+ */
+function renderSamplerSection() {
+  const section = createSection('Samples');
+  const seconds = v => `${v.toFixed(3)} s`;
+
+  const source = document.createElement('p');
+  source.className = 'ui-note';
+  source.textContent = working.samples && working.samples.pack
+    ? 'Samples dropped onto the page (available until reload)'
+    : `Sample folder: ${working.samples ? working.samples.baseUrl : 'none'}`;
+  section.appendChild(source);
+
+  section.appendChild(createSlider({
+    label: 'Attack', min: 0, max: 2, step: 0.001, value: working.envelope.attack, format: seconds,
+    onInput: value => { working.envelope.attack = value; preview(); }
+  }));
+  section.appendChild(createSlider({
+    label: 'Release', min: 0.01, max: 8, step: 0.01, value: working.envelope.release, format: seconds,
+    onInput: value => { working.envelope.release = value; preview(); }
+  }));
+
+  return section;
+}
+
+/**
+ * Oscillator list with add/remove
+ */
+function renderOscillatorSection() {
+  const section = createSection('Oscillators');
+
+  working.oscillators.forEach((osc, i) => {
+    const group = document.createElement('div');
+    group.className = 'ui-group';
+
+    group.appendChild(createSelect({
+      label: `Osc ${i + 1}`,
+      options: OSCILLATOR_TYPES,
+      value: osc.type,
+      onChange: value => { osc.type = value; preview(); }
+    }));
+    group.appendChild(createSlider({
+      label: 'Octave', min: -2, max: 2, step: 1, value: osc.octave,
+      onInput: value => { osc.octave = value; preview(); }
+    }));
+    group.appendChild(createSlider({
+      label: 'Detune', min: -100, max: 100, step: 1, value: osc.detune,
+      format: v => `${v} ct`,
+      onInput: value => { osc.detune = value; preview(); }
+    }));
+    group.appendChild(createSlider({
+      label: 'Level', min: 0, max: 1, value: osc.gain,
+      onInput: value => { osc.gain = value; preview(); }
+    }));
+
+    if (working.oscillators.length > 1) {
+      group.appendChild(createButton('Remove', () => {
+        working.oscillators.splice(i, 1);
+        preview();
+        render();
+      }, 'ui-button-small'));
+    }
+
+    section.appendChild(group);
+  });
+
+  if (working.oscillators.length < MAX_OSCILLATORS) {
+    section.appendChild(createButton('Add Oscillator', () => {
+      working.oscillators.push({ type: 'sawtooth', detune: 0, octave: 0, gain: 0.5 });
+      preview();
+      render();
+    }, 'ui-button-small'));
+  }
+
+  return section;
+}
+
+/**
+ * ADSR sliders
+ * @param {string} title - Section heading
+ * @param {Object} envelope - Envelope object edited in place
+ * @param {boolean} withOctaves - Add the filter envelope amount slider
+ */
+function renderEnvelopeSection(title, envelope, withOctaves = false) {
+  const section = createSection(title);
+  const seconds = v => `${v.toFixed(3)} s`;
+
+  section.appendChild(createSlider({
+    label: 'Attack', min: 0.001, max: 4, step: 0.001, value: envelope.attack, format: seconds,
+    onInput: value => { envelope.attack = value; preview(); }
+  }));
+  section.appendChild(createSlider({
+    label: 'Decay', min: 0.01, max: 4, step: 0.01, value: envelope.decay, format: seconds,
+    onInput: value => { envelope.decay = value; preview(); }
+  }));
+  section.appendChild(createSlider({
+    label: 'Sustain', min: 0, max: 1, value: envelope.sustain,
+    onInput: value => { envelope.sustain = value; preview(); }
+  }));
+  section.appendChild(createSlider({
+    label: 'Release', min: 0.01, max: 8, step: 0.01, value: envelope.release, format: seconds,
+    onInput: value => { envelope.release = value; preview(); }
+  }));
+
+  if (withOctaves) {
+    section.appendChild(createSlider({
+      label: 'Amount', min: 0, max: 6, step: 0.1, value: envelope.octaves,
+      format: v => `${v} oct`,
+      onInput: value => { envelope.octaves = value; preview(); }
+    }));
+  }
+
+  return section;
+}
+
+/**
+ * Filter settings and filter envelope
+ */
+function renderFilterSection() {
+  const section = createSection('Filter');
+  const filter = working.filter;
+
+  section.appendChild(createSelect({
+    label: 'Type',
+    options: FILTER_TYPES,
+    value: filter.type,
+    onChange: value => { filter.type = value; preview(); }
+  }));
+
+  // Cutoff slider works in log space so the low range is usable
+  section.appendChild(createSlider({
+    label: 'Cutoff', min: Math.log(20), max: Math.log(18000), step: 0.01,
+    value: Math.log(filter.frequency),
+    format: v => `${Math.round(Math.exp(v))} Hz`,
+    onInput: value => { filter.frequency = Math.round(Math.exp(value)); preview(); }
+  }));
+  section.appendChild(createSlider({
+    label: 'Resonance', min: 0.1, max: 20, step: 0.1, value: filter.Q,
+    onInput: value => { filter.Q = value; preview(); }
+  }));
+  section.appendChild(createSelect({
+    label: 'Slope',
+    options: [-12, -24, -48].map(v => ({ value: v, label: `${v} dB/oct` })),
+    value: filter.rolloff,
+    onChange: value => { filter.rolloff = parseInt(value); preview(); }
+  }));
+
+  const envelopeSection = renderEnvelopeSection('Filter Envelope', filter.envelope, true);
+  envelopeSection.classList.add('ui-subsection');
+  section.appendChild(envelopeSection);
+
+  return section;
+}
+
+/**
+ * LFO list with add/remove
+ */
+function renderLfoSection() {
+  const section = createSection('LFOs');
+
+  working.lfos.forEach((lfo, i) => {
+    const group = document.createElement('div');
+    group.className = 'ui-group';
+    const depthRange = LFO_DEPTH_RANGE[lfo.target];
+
+    group.appendChild(createSelect({
+      label: `LFO ${i + 1}`,
+      options: LFO_TARGETS,
+      value: lfo.target,
+      onChange: value => {
+        lfo.target = value;
+        lfo.depth = Math.min(lfo.depth, LFO_DEPTH_RANGE[value].max);
+        preview();
+        render();
+      }
+    }));
+    group.appendChild(createSelect({
+      label: 'Shape',
+      options: LFO_TYPES,
+      value: lfo.type,
+      onChange: value => { lfo.type = value; preview(); }
+    }));
+    group.appendChild(createSlider({
+      label: 'Rate', min: 0.05, max: 20, step: 0.05, value: lfo.frequency,
+      format: v => `${v} Hz`,
+      onInput: value => { lfo.frequency = value; preview(); }
+    }));
+    group.appendChild(createSlider({
+      label: 'Depth', min: 0, max: depthRange.max, step: depthRange.step, value: lfo.depth,
+      onInput: value => { lfo.depth = value; preview(); }
+    }));
+    group.appendChild(createButton('Remove', () => {
+      working.lfos.splice(i, 1);
+      preview();
+      render();
+    }, 'ui-button-small'));
+
+    section.appendChild(group);
+  });
+
+  if (working.lfos.length < MAX_LFOS) {
+    section.appendChild(createButton('Add LFO', () => {
+      working.lfos.push({ target: 'pitch', type: 'sine', frequency: 5, depth: 10 });
+      preview();
+      render();
+    }, 'ui-button-small'));
+  }
+
+  return section;
+}
+
+/**
+ * Effects rack slots with bypass, wet/dry, parameters and reordering
+ */
+function renderEffectsSection() {
+  const section = createSection('Effects');
+  const effects = working.effects;
+
+  // Move a slot up or down the chain
+  const moveSlot = (from, to) => {
+    const [slot] = effects.splice(from, 1);
+    effects.splice(to, 0, slot);
+    preview();
+    render();
+  };
+
+  effects.forEach((slot, i) => {
+    const group = document.createElement('div');
+    group.className = 'ui-group';
+
+    group.appendChild(createSelect({
+      label: `Slot ${i + 1}`,
+      options: Object.entries(effectTypes).map(([value, type]) => ({ value, label: type.label })),
+      value: slot.type,
+      onChange: value => {
+        effects[i] = normalizeEffect({ type: value, wet: slot.wet, bypass: slot.bypass });
+        preview();
+        render();
+      }
+    }));
+    group.appendChild(createCheckbox({
+      label: 'Bypass',
+      checked: slot.bypass,
+      onChange: checked => { slot.bypass = checked; preview(); }
+    }));
+    group.appendChild(createSlider({
+      label: 'Mix', min: 0, max: 1, value: slot.wet,
+      format: v => `${Math.round(v * 100)}%`,
+      onInput: value => { slot.wet = value; preview(); }
+    }));
+
+    Object.entries(effectTypes[slot.type].params).forEach(([name, spec]) => {
+      group.appendChild(createSlider({
+        label: spec.label, min: spec.min, max: spec.max, step: spec.step, value: slot.params[name],
+        onInput: value => { slot.params[name] = value; preview(); }
+      }));
+    });
+
+    const actions = document.createElement('div');
+    actions.className = 'ui-button-row';
+
+    const upButton = createButton('Up', () => moveSlot(i, i - 1), 'ui-button-small');
+    upButton.disabled = i === 0;
+    actions.appendChild(upButton);
+
+    const downButton = createButton('Down', () => moveSlot(i, i + 1), 'ui-button-small');
+    downButton.disabled = i === effects.length - 1;
+    actions.appendChild(downButton);
+
+    actions.appendChild(createButton('Remove', () => {
+      effects.splice(i, 1);
+      preview();
+      render();
+    }, 'ui-button-small'));
+
+    group.appendChild(actions);
+    section.appendChild(group);
+  });
+
+  if (effects.length < MAX_EFFECT_SLOTS) {
+    section.appendChild(createButton('Add Effect', () => {
+      effects.push(normalizeEffect({ type: 'delay' }));
+      preview();
+      render();
+    }, 'ui-button-small'));
+  }
+
+  return section;
+}
+
+/**
+ * Portamento and voice gain
+ */
+function renderVoiceSection() {
+  const section = createSection('Voice');
+
+  // Samplers have no glide
+  if (working.type !== 'sampler') {
+    section.appendChild(createSlider({
+      label: 'Glide', min: 0, max: 1, step: 0.005, value: working.portamento,
+      format: v => `${v.toFixed(3)} s`,
+      onInput: value => { working.portamento = value; preview(); }
+    }));
+  }
+  section.appendChild(createSlider({
+    label: 'Gain', min: -24, max: 6, step: 0.5, value: working.gain,
+    format: v => `${v} dB`,
+    onInput: value => { working.gain = value; preview(); }
+  }));
+
+  return section;
+}
+
+/**
+ * Save the working preset and select it for the edited hand
+ * @param {string} name - Preset name
+ */
+function savePreset(name) {
+  try {
+    saveUserPreset(name, working);
+    state[soundKey(editingPart)] = name;
+    presetName = name;
+    onPresetsChanged();
+    updateSynths();
+    render();
+    showMessage(`Saved preset "${name}"`);
+  } catch (error) {
+    console.error("Error saving preset:", error);
+    showMessage("Error saving preset: " + error.message, 3000);
+  }
+}
+
+/**
+ * Delete the edited user preset and fall back to the default sound
+ */
+function removePreset() {
+  const name = presetName;
+  deleteUserPreset(name);
+
+  // Any hand using the deleted preset goes back to its default
+  if (state.melodySound === name) state.melodySound = DEFAULT_MELODY_SOUND;
+  if (state.harmonySound === name) state.harmonySound = DEFAULT_HARMONY_SOUND;
+
+  onPresetsChanged();
+  updateSynths();
+  loadWorkingPreset();
+  render();
+  showMessage(`Deleted preset "${name}"`);
+}
+
+/**
+ * Import presets from a JSON file
+ * @param {File} file - File chosen by the user
+ */
+function importFile(file) {
+  readFileAsText(file)
+    .then(json => {
+      const { names, renamed } = importPresets(json);
+      onPresetsChanged();
+      const note = renamed > 0 ? ` (${renamed} renamed to keep existing presets)` : '';
+      showMessage(`Imported ${names.length} preset${names.length === 1 ? '' : 's'}${note}`, 3000);
+    })
+    .catch(error => {
+      console.error("Error importing presets:", error);
+      showMessage("Error importing presets: " + error.message, 3000);
+    });
+}
+
+export default {
+  createPresetEditor,
+  openPresetEditor
+};
@@ -0,0 +1,225 @@
+/**
+ * Record controls for HandSynth
+ * Record/stop button with elapsed time, level meter and take downloads
+ * (audio plus a .mid file of the notes played), and a button for MIDI-only takes
+ */
+
+import { state } from '../config.js';
+import {
+  MAX_RECORDING_SECONDS,
+  startRecording,
+  stopRecording,
+  isRecording,
+  getElapsedTime,
+  getLevel,
+  isWebmSupported
+} from '../audio/recorder.js';
+import { startMidiCapture, stopMidiCapture, isMidiCapturing } from '../midi/midi-recorder.js';
+import { showMessage } from './messages.js';
+import { getToolbar, createButton } from './widgets.js';
+import { downloadBlob } from '../utils/files.js';
+
+// UI elements
+let recordButton, midiButton, timeEl, meterFill, downloadsEl;
+
+// Start of a MIDI-only take (audio context time)
+let midiStartedAt = 0;
+
+/**
+ * Create the record controls in the toolbar
+ */
+export function createRecordControls() {
+  const container = document.createElement('div');
+  container.className = 'ui-toolbar-group record-controls';
+
+  recordButton = createButton('● Rec', toggleRecording, 'ui-button-small record-button');
+  recordButton.title = 'Record the performance';
+
+  midiButton = createButton('● MIDI', toggleMidiRecording, 'ui-button-small record-button');
+  midiButton.title = 'Record only the notes played, as a .mid file';
+
+  timeEl = document.createElement('span');
+  timeEl.className = 'record-time';
+  timeEl.textContent = formatTime(0);
+
+  const meter = document.createElement('div');
+  meter.className = 'record-meter';
+  meterFill = document.createElement('div');
+  meterFill.className = 'record-meter-fill';
+  meter.appendChild(meterFill);
+
+  downloadsEl = document.createElement('div');
+  downloadsEl.className = 'record-downloads';
+
+  container.appendChild(recordButton);
+  container.appendChild(midiButton);
+  container.appendChild(timeEl);
+  container.appendChild(meter);
+  container.appendChild(downloadsEl);
+  getToolbar().appendChild(container);
+}
+
+/**
+ * Start or stop recording
+ */
+function toggleRecording() {
+  if (!state.audioStarted) {
+    showMessage('Start audio before recording');
+    return;
+  }
+
+  if (isRecording()) {
+    stopTake();
+  } else {
+    downloadsEl.innerHTML = '';
+    recordButton.disabled = true;
+    midiButton.disabled = true;
+    startRecording(() => {
+      showMessage(`Recording stopped at the ${formatTime(MAX_RECORDING_SECONDS)} limit`, 4000);
+      stopTake();
+    })
+      .then(() => {
+        startMidiCapture();
+        recordButton.textContent = '■ Stop';
+        recordButton.classList.add('active');
+        requestAnimationFrame(updateRecordingDisplay);
+      })
+      .catch(error => {
+        console.error("Error starting recording:", error);
+        showMessage("Error starting recording: " + error.message, 3000);
+        midiButton.disabled = false;
+      })
+      .finally(() => {
+        recordButton.disabled = false;
+      });
+  }
+}
+
+/**
+ * Stop the take; the MIDI capture ends at the same moment as the audio
+ */
+function stopTake() {
+  let midi = null;
+  recordButton.disabled = true;
+
+  stopRecording(() => {
+    midi = stopMidiCapture();
+  })
+    .then(take => {
+      if (take) take.midi = midi;
+      recordButton.textContent = '● Rec';
+      recordButton.classList.remove('active');
+      meterFill.style.width = '0%';
+      if (take) showDownloads(take);
+    })
+    .catch(error => {
+      console.error("Error stopping recording:", error);
+      showMessage("Error stopping recording: " + error.message, 3000);
+    })
+    .finally(() => {
+      recordButton.disabled = false;
+      midiButton.disabled = false;
+    });
+}
+
+/**
+ * Start or stop a MIDI-only take (audio takes record MIDI as well)
+ */
+function toggleMidiRecording() {
+  if (!state.audioStarted) {
+    showMessage('Start audio before recording');
+    return;
+  }
+
+  if (isMidiCapturing()) {
+    const midi = stopMidiCapture();
+    midiButton.textContent = '● MIDI';
+    midiButton.classList.remove('active');
+    recordButton.disabled = false;
+
+    if (midi) {
+      showDownloads({ wav: null, webm: null, midi, duration: Tone.now() - midiStartedAt });
+    } else {
+      showMessage('No notes were played');
+    }
+  } else {
+    downloadsEl.innerHTML = '';
+    startMidiCapture();
+    midiStartedAt = Tone.now();
+    midiButton.textContent = '■ Stop';
+    midiButton.classList.add('active');
+    recordButton.disabled = true;
+    requestAnimationFrame(updateMidiDisplay);
+  }
+}
+
+/**
+ * Refresh elapsed time while a MIDI-only take is running
+ */
+function updateMidiDisplay() {
+  if (!isMidiCapturing() || isRecording()) return;
+
+  timeEl.textContent = formatTime(Tone.now() - midiStartedAt);
+  requestAnimationFrame(updateMidiDisplay);
+}
+
+/**
+ * Refresh elapsed time and level meter while recording
+ */
+function updateRecordingDisplay() {
+  if (!isRecording()) return;
+
+  timeEl.textContent = formatTime(getElapsedTime());
+
+  // Map -60..0 dB onto the meter width
+  const level = getLevel();
+  const percent = Number.isFinite(level) ? Math.max(0, Math.min(1, (level + 60) / 60)) * 100 : 0;
+  meterFill.style.width = `${percent}%`;
+  meterFill.classList.toggle('clipping', level > -1);
+
+  requestAnimationFrame(updateRecordingDisplay);
+}
+
+/**
+ * Show download buttons for a finished take
+ * @param {Object} take - { wav, webm, midi, duration } (wav and webm are null for MIDI-only takes)
+ */
+function showDownloads(take) {
+  const stamp = new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-');
+  downloadsEl.innerHTML = '';
+
+  if (take.wav) {
+    downloadsEl.appendChild(createButton('WAV', () => {
+      downloadBlob(take.wav, `handsynth-${stamp}.wav`);
+    }, 'ui-button-small'));
+  }
+
+  if (take.webm && isWebmSupported()) {
+    downloadsEl.appendChild(createButton('WebM', () => {
+      downloadBlob(take.webm, `handsynth-${stamp}.webm`);
+    }, 'ui-button-small'));
+  }
+
+  if (take.midi) {
+    downloadsEl.appendChild(createButton('MIDI', () => {
+      downloadBlob(take.midi, `handsynth-${stamp}.mid`);
+    }, 'ui-button-small'));
+  }
+
+  showMessage(`Recorded ${formatTime(take.duration)}`);
+}
+
+/**
+ * Format seconds as m:ss
+ * @param {number} seconds - Time in seconds
+ * @returns {string} Formatted time
+ */
+function formatTime(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  const rest = Math.floor(seconds % 60);
+  return `${minutes}:${rest.toString().padStart(2, '0')}`;
+}
+
+export default {
+  createRecordControls
+};
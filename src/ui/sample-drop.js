@@ -0,0 +1,76 @@
+/**
+ * Drag-and-drop loading of sample packs
+ * WAV/OGG files dropped onto the page become a sampler preset for this session
+ */
+
+import { registerSamplePack, decodeSampleFiles } from '../audio/sampler.js';
+import { addSessionPreset } from '../audio/presets.js';
+import { showMessage } from './messages.js';
+
+// Accepted sample file extensions
+const SAMPLE_FILE_PATTERN = /\.(wav|ogg)$/i;
+
+// Number of packs dropped so far (used for naming)
+let dropCount = 0;
+
+// Guard against registering the window listeners twice
+let listening = false;
+
+/**
+ * Listen for sample files dropped anywhere on the page
+ * @param {Function} onPackAdded - Called after a new sampler preset is available
+ */
+export function setupSampleDrop(onPackAdded) {
+  if (listening) return;
+  listening = true;
+
+  window.addEventListener('dragover', (event) => {
+    if (!event.dataTransfer || !Array.from(event.dataTransfer.types).includes('Files')) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+    document.body.classList.add('sample-drop-active');
+  });
+
+  window.addEventListener('dragleave', (event) => {
+    // Only clear when the pointer leaves the window
+    if (!event.relatedTarget) document.body.classList.remove('sample-drop-active');
+  });
+
+  window.addEventListener('drop', (event) => {
+    document.body.classList.remove('sample-drop-active');
+    if (!event.dataTransfer || event.dataTransfer.files.length === 0) return;
+    event.preventDefault();
+
+    const files = Array.from(event.dataTransfer.files).filter(file => SAMPLE_FILE_PATTERN.test(file.name));
+    if (files.length === 0) {
+      showMessage('Drop WAV or OGG files to create a sampler', 3000);
+      return;
+    }
+
+    decodeSampleFiles(files)
+      .then(buffers => {
+        dropCount++;
+        const packId = `dropped-${dropCount}`;
+        const name = `dropped ${dropCount}`;
+
+        registerSamplePack(packId, buffers);
+        addSessionPreset(name, {
+          type: 'sampler',
+          samples: { pack: packId },
+          envelope: { attack: 0.005, release: 1 },
+          gain: 0
+        });
+
+        if (onPackAdded) onPackAdded();
+        showMessage(`Loaded ${Object.keys(buffers).length} samples as "${name}"`, 3000);
+      })
+      .catch(error => {
+        console.error("Error loading dropped samples:", error);
+        showMessage("Error loading samples: " + error.message, 4000);
+      });
+  });
+}
+
+export default {
+  setupSampleDrop
+};
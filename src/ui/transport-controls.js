@@ -0,0 +1,180 @@
+/**
+ * Transport controls for HandSynth
+ * Tempo, time signature, quantization of gesture-triggered notes and the metronome
+ */
+
+import { state } from '../config.js';
+import { MIN_BPM, MAX_BPM, setTempo, setTimeSignature, setQuantize } from '../audio/transport.js';
+import {
+  onMetronomeBeat, setMetronomeEnabled, setMetronomeVolume, updateMetronomeMeter, startCountIn
+} from '../audio/metronome.js';
+import { showMessage } from './messages.js';
+import {
+  getToolbar, createPanel, togglePanel, createSection, createButton, createSelect, createSlider
+} from './widgets.js';
+
+// Metronome panel element id
+const PANEL_ID = 'metronome-panel';
+
+// Time signatures offered
+const TIME_SIGNATURES = ['2/4', '3/4', '4/4', '5/4', '6/8', '7/8'];
+
+// Quantization grids and their labels
+const QUANTIZE_GRIDS = [
+  { value: 'off', label: 'Free' },
+  { value: '4n', label: '1/4' },
+  { value: '8n', label: '1/8' },
+  { value: '16n', label: '1/16' }
+];
+
+// Beat indicator
+let beatIndicator = null;
+
+/**
+ * Create the transport controls in the toolbar
+ */
+export function createTransportControls() {
+  const container = document.createElement('div');
+  container.className = 'ui-toolbar-group transport-controls';
+
+  const tempoLabel = document.createElement('label');
+  tempoLabel.className = 'transport-tempo';
+  tempoLabel.textContent = 'BPM';
+
+  const tempoInput = document.createElement('input');
+  tempoInput.type = 'number';
+  tempoInput.className = 'ui-input';
+  tempoInput.min = MIN_BPM;
+  tempoInput.max = MAX_BPM;
+  tempoInput.value = state.bpm;
+  tempoInput.addEventListener('change', () => {
+    setTempo(parseFloat(tempoInput.value) || state.bpm);
+    tempoInput.value = state.bpm;
+  });
+  tempoLabel.appendChild(tempoInput);
+
+  const meterRow = createSelect({
+    options: TIME_SIGNATURES,
+    value: state.timeSignature.join('/'),
+    onChange: value => {
+      setTimeSignature(value.split('/').map(Number));
+      updateMetronomeMeter();
+      renderBeatIndicator();
+    }
+  });
+  meterRow.title = 'Time signature';
+
+  const quantizeRow = createSelect({
+    label: 'Snap',
+    options: QUANTIZE_GRIDS,
+    value: state.quantize,
+    onChange: setQuantize
+  });
+  quantizeRow.title = 'Quantize note and chord changes to the beat';
+
+  const clickButton = createButton('Click', () => {
+    setMetronomeEnabled(!state.metronomeEnabled);
+    clickButton.classList.toggle('active', state.metronomeEnabled);
+    if (!state.metronomeEnabled) showBeat(-1, state.timeSignature[0], false);
+  }, 'ui-button-small');
+  clickButton.title = 'Metronome on/off';
+  clickButton.classList.toggle('active', state.metronomeEnabled);
+
+  beatIndicator = document.createElement('div');
+  beatIndicator.className = 'beat-indicator';
+  renderBeatIndicator();
+  onMetronomeBeat(showBeat);
+
+  const settingsButton = createButton('⋯', () => togglePanel(PANEL_ID), 'ui-button-small');
+  settingsButton.title = 'Metronome settings';
+
+  container.appendChild(tempoLabel);
+  container.appendChild(meterRow);
+  container.appendChild(quantizeRow);
+  container.appendChild(clickButton);
+  container.appendChild(beatIndicator);
+  container.appendChild(settingsButton);
+  getToolbar().appendChild(container);
+
+  createMetronomePanel();
+}
+
+/**
+ * Create the metronome settings panel
+ */
+function createMetronomePanel() {
+  const { body } = createPanel(PANEL_ID, 'Metronome');
+  const section = createSection('Click');
+
+  section.appendChild(createSlider({
+    label: 'Volume',
+    min: 0,
+    max: 1,
+    step: 0.01,
+    value: state.metronomeVolume,
+    format: value => `${Math.round(value * 100)}%`,
+    onInput: setMetronomeVolume
+  }));
+
+  section.appendChild(createSelect({
+    label: 'Count-in',
+    options: [
+      { value: 0, label: 'Off' },
+      { value: 1, label: '1 bar' },
+      { value: 2, label: '2 bars' }
+    ],
+    value: state.countInBars,
+    onChange: value => {
+      state.countInBars = parseInt(value, 10);
+    }
+  }));
+
+  const note = document.createElement('p');
+  note.className = 'ui-note';
+  note.textContent = 'The count-in plays when audio starts; gestures play once it is over.';
+  section.appendChild(note);
+
+  const buttonRow = document.createElement('div');
+  buttonRow.className = 'ui-button-row';
+  buttonRow.appendChild(createButton('Count in now', () => {
+    if (!state.audioStarted) {
+      showMessage('Start audio first');
+      return;
+    }
+    startCountIn(state.countInBars || 1, () => showMessage('Play!'));
+  }, 'ui-button-small'));
+  section.appendChild(buttonRow);
+
+  body.appendChild(section);
+}
+
+/**
+ * Build one dot per beat of the bar
+ */
+function renderBeatIndicator() {
+  beatIndicator.innerHTML = '';
+  for (let i = 0; i < state.timeSignature[0]; i++) {
+    const dot = document.createElement('span');
+    dot.className = i === 0 ? 'beat-dot downbeat' : 'beat-dot';
+    beatIndicator.appendChild(dot);
+  }
+}
+
+/**
+ * Light the dot of the beat that just sounded
+ * @param {number} beatIndex - Beat within the bar (0 = downbeat)
+ * @param {number} beatsPerBar - Beats in the bar
+ * @param {boolean} counting - True during a count-in
+ */
+function showBeat(beatIndex, beatsPerBar, counting) {
+  if (beatIndicator.children.length !== beatsPerBar) renderBeatIndicator();
+
+  Array.from(beatIndicator.children).forEach((dot, i) => {
+    dot.classList.toggle('lit', i === beatIndex);
+    dot.classList.toggle('counting', counting);
+  });
+}
+
+export default {
+  createTransportControls
+};
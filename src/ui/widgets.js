@@ -0,0 +1,228 @@
+/**
+ * Reusable UI widgets for HandSynth panels
+ * Sliders, selects, buttons and slide-out panels styled by styles.css
+ */
+
+/**
+ * Create a slide-out panel (hidden until opened)
+ * @param {string} id - Element id
+ * @param {string} title - Panel heading
+ * @returns {Object} { panel, body } - body is where content goes
+ */
+export function createPanel(id, title) {
+  let panel = document.getElementById(id);
+  if (panel) panel.remove();
+
+  panel = document.createElement('div');
+  panel.id = id;
+  panel.className = 'ui-panel';
+  panel.style.display = 'none';
+
+  const header = document.createElement('div');
+  header.className = 'ui-panel-header';
+
+  const heading = document.createElement('h3');
+  heading.textContent = title;
+
+  const closeButton = createButton('×', () => hidePanel(id), 'ui-panel-close');
+  closeButton.title = 'Close';
+
+  header.appendChild(heading);
+  header.appendChild(closeButton);
+
+  const body = document.createElement('div');
+  body.className = 'ui-panel-body';
+
+  panel.appendChild(header);
+  panel.appendChild(body);
+  document.body.appendChild(panel);
+
+  return { panel, body };
+}
+
+/**
+ * Show a panel, hiding any other open panel
+ * @param {string} id - Panel element id
+ */
+export function showPanel(id) {
+  document.querySelectorAll('.ui-panel').forEach(panel => {
+    panel.style.display = panel.id === id ? 'flex' : 'none';
+  });
+}
+
+/**
+ * Hide a panel
+ * @param {string} id - Panel element id
+ */
+export function hidePanel(id) {
+  const panel = document.getElementById(id);
+  if (panel) panel.style.display = 'none';
+}
+
+/**
+ * Toggle a panel open or closed
+ * @param {string} id - Panel element id
+ */
+export function togglePanel(id) {
+  const panel = document.getElementById(id);
+  if (!panel) return;
+
+  if (panel.style.display === 'none') {
+    showPanel(id);
+  } else {
+    hidePanel(id);
+  }
+}
+
+/**
+ * Get the toolbar at the bottom of the screen, creating it if needed
+ * @returns {HTMLElement} Toolbar element
+ */
+export function getToolbar() {
+  let toolbar = document.getElementById('toolbar');
+  if (!toolbar) {
+    toolbar = document.createElement('div');
+    toolbar.id = 'toolbar';
+    toolbar.className = 'ui-toolbar';
+    document.body.appendChild(toolbar);
+  }
+  return toolbar;
+}
+
+/**
+ * Create a titled section inside a panel
+ * @param {string} title - Section heading
+ * @returns {HTMLElement} Section element
+ */
+export function createSection(title) {
+  const section = document.createElement('div');
+  section.className = 'ui-section';
+
+  const heading = document.createElement('h4');
+  heading.textContent = title;
+  section.appendChild(heading);
+
+  return section;
+}
+
+/**
+ * Create a button
+ * @param {string} text - Button label
+ * @param {Function} onClick - Click handler
+ * @param {string} className - Extra class names
+ * @returns {HTMLButtonElement} Button element
+ */
+export function createButton(text, onClick, className = '') {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = ('ui-button ' + className).trim();
+  button.textContent = text;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * Create a labeled slider with a value readout
+ * @param {Object} options - { label, min, max, step, value, format, onInput }
+ * @returns {HTMLElement} Slider row element
+ */
+export function createSlider({ label, min, max, step = 0.01, value, format, onInput }) {
+  const row = document.createElement('label');
+  row.className = 'ui-slider';
+
+  const name = document.createElement('span');
+  name.className = 'ui-slider-label';
+  name.textContent = label;
+
+  const input = document.createElement('input');
+  input.type = 'range';
+  input.min = min;
+  input.max = max;
+  input.step = step;
+  input.value = value;
+
+  const readout = document.createElement('span');
+  readout.className = 'ui-slider-value';
+
+  const formatValue = format || (v => String(Math.round(v * 1000) / 1000));
+  readout.textContent = formatValue(Number(value));
+
+  input.addEventListener('input', () => {
+    const newValue = parseFloat(input.value);
+    readout.textContent = formatValue(newValue);
+    onInput(newValue);
+  });
+
+  row.appendChild(name);
+  row.appendChild(input);
+  row.appendChild(readout);
+  return row;
+}
+
+/**
+ * Create a labeled select
+ * @param {Object} options - { label, options: Array<string|{value,label}>, value, onChange }
+ * @returns {HTMLElement} Select row element (the select is row.querySelector('select'))
+ */
+export function createSelect({ label, options, value, onChange }) {
+  const row = document.createElement('label');
+  row.className = 'ui-field';
+
+  if (label) {
+    const name = document.createElement('span');
+    name.className = 'ui-slider-label';
+    name.textContent = label;
+    row.appendChild(name);
+  }
+
+  const select = document.createElement('select');
+  select.className = 'ui-select';
+
+  options.forEach(entry => {
+    const option = document.createElement('option');
+    option.value = typeof entry === 'object' ? entry.value : entry;
+    option.textContent = typeof entry === 'object' ? entry.label : entry;
+    if (String(option.value) === String(value)) option.selected = true;
+    select.appendChild(option);
+  });
+
+  select.addEventListener('change', () => onChange(select.value));
+
+  row.appendChild(select);
+  return row;
+}
+
+/**
+ * Create a labeled checkbox
+ * @param {Object} options - { label, checked, onChange }
+ * @returns {HTMLElement} Checkbox row element
+ */
+export function createCheckbox({ label, checked, onChange }) {
+  const row = document.createElement('label');
+  row.className = 'ui-checkbox';
+
+  const input = document.createElement('input');
+  input.type = 'checkbox';
+  input.checked = !!checked;
+  input.addEventListener('change', () => onChange(input.checked));
+
+  const name = document.createElement('span');
+  name.textContent = label;
+
+  row.appendChild(input);
+  row.appendChild(name);
+  return row;
+}
+
+export default {
+  createPanel,
+  showPanel,
+  hidePanel,
+  togglePanel,
+  getToolbar,
+  createSection,
+  createButton,
+  createSlider,
+  createSelect,
+  createCheckbox
+};
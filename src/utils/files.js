@@ -0,0 +1,51 @@
+/**
+ * File utilities for HandSynth
+ * Helpers for downloading and reading user files
+ */
+
+/**
+ * Offer a blob as a file download
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  // Give the browser time to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Read a File as text
+ * @param {File} file - File chosen by the user
+ * @returns {Promise<string>} File contents
+ */
+export function readFileAsText(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+}
+
+/**
+ * Make a string safe to use as a file name
+ * @param {string} name - Display name
+ * @returns {string} File name without special characters
+ */
+export function toFileName(name) {
+  return name.trim().replace(/[^a-z0-9-_]+/gi, '-').replace(/^-+|-+$/g, '') || 'untitled';
+}
+
+export default {
+  downloadBlob,
+  readFileAsText,
+  toFileName
+};
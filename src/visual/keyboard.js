@@ -104,9 +104,11 @@ export function updateVisualKeyboard() {
   keys.forEach(key => key.classList.remove('active'));
   
   // Highlight active keys
-  if (state.currentMelodyNote && state.rightHandIsPlaying) {
-    const melodyKey = keyboardContainer.querySelector(`.key[data-note="${state.currentMelodyNote}"]`);
-    if (melodyKey) melodyKey.classList.add('active');
+  if (state.rightHandIsPlaying) {
+    state.currentMelodyNotes.forEach(note => {
+      const melodyKey = keyboardContainer.querySelector(`.key[data-note="${note}"]`);
+      if (melodyKey) melodyKey.classList.add('active');
+    });
   }
   
   if (state.currentChord && state.leftHandIsPlaying) {